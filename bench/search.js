@@ -0,0 +1,88 @@
+// Compare indexed search latency against a linear scan on a synthetic database
+const { initializeGuildItems, scanItemsByQuery, searchIndexedItems } = require('../lib/search');
+
+const ITEM_COUNT = 20000;
+const RUNS = 20;
+const GUILD_ID = 'bench';
+
+const ADJECTIVES = ['Red', 'Blue', 'Golden', 'Wooden', 'Ancient', 'Crystal', 'Dark', 'Shiny', 'Frozen', 'Burning', 'Royal', 'Tiny'];
+const NOUNS = ['Block', 'Door', 'Sign', 'Wings', 'Hat', 'Sword', 'Lock', 'Table', 'Chair', 'Wall', 'Platform', 'Background'];
+const SUFFIXES = ['', '', '', ' Seed', ' of Legends', ' Mk II'];
+
+const QUERIES = ['dirt', 'wooden block', 'golden', 'seed', 'wodden', 'crystl wings', 'of legends', 'xyz', 'sword seed'];
+
+/**
+ * Deterministic pseudo-random generator so every run uses the same database
+ * @param {number} seed - Initial seed
+ * @returns {Function} - Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+}
+
+/**
+ * Generate a synthetic items database
+ * @param {number} count - Number of items
+ * @returns {Object} - Dictionary of item IDs to item records
+ */
+function generateItems(count) {
+  const random = createRandom(42);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const itemsData = {};
+
+  for (let id = 0; id < count; id++) {
+    itemsData[id] = { id: id, name: `${pick(ADJECTIVES)} ${pick(NOUNS)}${pick(SUFFIXES)}` };
+  }
+  itemsData[2] = { id: 2, name: 'Dirt' };
+  itemsData[3] = { id: 3, name: 'Dirt Seed' };
+
+  return itemsData;
+}
+
+/**
+ * Measure the median latency of a search function
+ * @param {Function} search - Search function to call
+ * @param {string} query - Search query
+ * @returns {number} - Median latency in milliseconds
+ */
+function measure(search, query) {
+  const timings = [];
+
+  for (let i = 0; i < RUNS; i++) {
+    const start = process.hrtime.bigint();
+    search(GUILD_ID, query, 'all', 500);
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  timings.sort((a, b) => a - b);
+  return timings[Math.floor(timings.length / 2)];
+}
+
+const buildStart = process.hrtime.bigint();
+initializeGuildItems(GUILD_ID, generateItems(ITEM_COUNT));
+console.log(`Built index for ${ITEM_COUNT} items in ${(Number(process.hrtime.bigint() - buildStart) / 1e6).toFixed(1)} ms\n`);
+
+const rows = QUERIES.map(query => {
+  const linear = scanItemsByQuery(GUILD_ID, query);
+  const indexed = searchIndexedItems(GUILD_ID, query);
+
+  if (JSON.stringify(linear) !== JSON.stringify(indexed)) {
+    throw new Error(`Indexed results differ from linear scan for '${query}'`);
+  }
+
+  const linearMs = measure(scanItemsByQuery, query);
+  const indexedMs = measure(searchIndexedItems, query);
+
+  return {
+    query: query,
+    matches: linear.length,
+    'linear (ms)': linearMs.toFixed(2),
+    'indexed (ms)': indexedMs.toFixed(2),
+    speedup: `${(linearMs / indexedMs).toFixed(1)}x`
+  };
+});
+
+console.table(rows);
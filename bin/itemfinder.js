@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+// Command-line tool for checking an items.txt or items.dat file without a Discord server
+const fs = require('fs');
+const path = require('path');
+const {
+  ITEM_FIELDS,
+  ITEM_CATEGORIES,
+  getItemCategory,
+  countItemCategories,
+  createParseReport,
+  countParseErrors,
+  formatParseReport,
+  parseItemsContent,
+  parseItemsDat,
+  validateItemsFile
+} = require('../lib/items');
+const {
+  GUILD_ITEMS_DATA,
+  initializeGuildItems,
+  parseSearchQuery,
+  findItemsByQuery,
+  suggestItemNames,
+  resolveItemId
+} = require('../lib/search');
+const { LOCALES, t } = require('../lib/i18n');
+
+// The file is loaded into the same in-memory store the bot uses, under this ID
+const CLI_DATABASE_ID = 'cli';
+const DEFAULT_SEARCH_LIMIT = 50;
+
+// The tool's own output is English, so its messages default to English too
+const CLI_DEFAULT_LOCALE = 'en';
+
+const USAGE = `Usage: itemfinder <command> <file> [arguments] [options]
+
+Commands:
+  search <file> <query>    Search item names, with the same syntax as /search
+  item <file> <id|name>    Show every field of one item
+  info <file>              Show item counts per category and the ID range
+  validate <file>          Check the file and print its validation report
+
+Options:
+  --json                   Print JSON instead of tables
+  --type <category>        Only search one category (${ITEM_CATEGORIES.join(', ')})
+  --limit <n>              Maximum search results (default ${DEFAULT_SEARCH_LIMIT})
+  --strict                 Make validate fail on any line error
+  --locale <id|en>         Language of validation and query messages (default ${CLI_DEFAULT_LOCALE})`;
+
+/**
+ * Split command-line arguments into positional arguments and --options
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - { args, options }
+ */
+function parseArguments(argv) {
+  const args = [];
+  const options = { json: false, strict: false, type: 'all', limit: DEFAULT_SEARCH_LIMIT, locale: CLI_DEFAULT_LOCALE };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--json' || arg === '--strict') {
+      options[arg.slice(2)] = true;
+    } else if (arg === '--type' || arg === '--limit' || arg === '--locale') {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      args.push(arg);
+    }
+  }
+
+  if (options.type !== 'all' && !ITEM_CATEGORIES.includes(options.type)) {
+    throw new Error(`--type must be one of: ${ITEM_CATEGORIES.join(', ')}`);
+  }
+
+  if (!/^\d+$/.test(options.limit) || parseInt(options.limit) === 0) {
+    throw new Error('--limit must be a positive number');
+  }
+  options.limit = parseInt(options.limit);
+
+  if (!LOCALES[options.locale]) {
+    throw new Error(`--locale must be one of: ${Object.keys(LOCALES).join(', ')}`);
+  }
+
+  return { args: args, options: options };
+}
+
+/**
+ * Read and parse an items file into the in-memory store
+ * @param {string} filePath - Path to items.txt or items.dat
+ * @param {string} locale - Locale of the validation messages
+ * @returns {Object} - { validation, itemsData, report }
+ */
+function loadItemsFile(filePath, locale) {
+  const buffer = fs.readFileSync(filePath);
+  const validation = validateItemsFile(buffer, locale);
+  const report = createParseReport(validation.format);
+  let itemsData = {};
+
+  // Unsupported items.dat versions cannot be decoded at all. Problems end up in the report,
+  // so the parsers' console output is left out to keep stdout for the results
+  if (validation.valid || validation.format === 'txt') {
+    itemsData = validation.format === 'dat'
+      ? parseItemsDat(buffer, report, { quiet: true })
+      : parseItemsContent(buffer.toString('utf8'), report, { quiet: true });
+  }
+
+  initializeGuildItems(CLI_DATABASE_ID, itemsData);
+  return { validation: validation, itemsData: itemsData, report: report };
+}
+
+/**
+ * Format rows as a table with aligned columns
+ * @param {Array} headers - Column headers
+ * @param {Array} rows - Arrays of cell values
+ * @returns {string} - Table text
+ */
+function formatTable(headers, rows) {
+  const cells = [headers, ...rows].map(row => row.map(value => String(value)));
+  const widths = headers.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+  const formatRow = row => row.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [
+    formatRow(cells[0]),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...cells.slice(1).map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Print a result as JSON or as text
+ * @param {Object} options - Parsed options
+ * @param {Object} data - Value printed with --json
+ * @param {Function} formatText - Returns the text printed otherwise
+ */
+function printResult(options, data, formatText) {
+  process.stdout.write((options.json ? JSON.stringify(data, null, 2) : formatText()) + '\n');
+}
+
+/**
+ * Run the search command
+ * @param {Array} args - [file, query...]
+ * @param {Object} options - Parsed options
+ * @returns {number} - Exit code
+ */
+function runSearch(args, options) {
+  const query = args.slice(1).join(' ').trim();
+  if (!query) {
+    throw new Error('search needs a query');
+  }
+
+  const parsed = parseSearchQuery(query, options.locale);
+  if (!parsed.valid) {
+    process.stderr.write(`${parsed.reason}\n${parsed.pointer}\n`);
+    return 1;
+  }
+
+  loadItemsFile(args[0], options.locale);
+  const results = findItemsByQuery(CLI_DATABASE_ID, query, options.type, options.limit).map(([id, name]) => ({
+    id: id,
+    name: name,
+    category: getItemCategory(GUILD_ITEMS_DATA[CLI_DATABASE_ID][id])
+  }));
+
+  printResult(options, { query: query, type: options.type, count: results.length, results: results }, () =>
+    results.length > 0
+      ? formatTable(['ID', 'Name', 'Category'], results.map(result => [result.id, result.name, result.category]))
+      : `No items found for '${query}'.`);
+
+  return 0;
+}
+
+/**
+ * Run the item command
+ * @param {Array} args - [file, id or name...]
+ * @param {Object} options - Parsed options
+ * @returns {number} - Exit code
+ */
+function runItem(args, options) {
+  const input = args.slice(1).join(' ').trim();
+  if (!input) {
+    throw new Error('item needs an item ID or name');
+  }
+
+  loadItemsFile(args[0], options.locale);
+  const itemId = resolveItemId(CLI_DATABASE_ID, input);
+
+  if (itemId === null) {
+    // Only exact IDs and names resolve, close names are offered instead
+    const suggestions = /^\d+$/.test(input) ? [] : suggestItemNames(CLI_DATABASE_ID, input);
+    process.stderr.write(`No item matches '${input}'.\n`);
+    if (suggestions.length > 0) {
+      process.stderr.write(`Did you mean: ${suggestions.join(', ')}?\n`);
+    }
+    return 1;
+  }
+
+  const item = GUILD_ITEMS_DATA[CLI_DATABASE_ID][itemId];
+  const category = getItemCategory(item);
+
+  printResult(options, { ...item, category: category }, () => {
+    const rows = ITEM_FIELDS
+      .filter(field => item[field.key] !== undefined && item[field.key] !== '')
+      .map(field => [t(options.locale, `item.field.${field.key}`), item[field.key]]);
+
+    rows.push([t(options.locale, 'item.type'), category]);
+    if (item.spliceIngredients) {
+      rows.push([t(options.locale, 'item.spliceRecipe'), item.spliceIngredients.join(' + ')]);
+    }
+
+    return formatTable(['Field', 'Value'], rows);
+  });
+
+  return 0;
+}
+
+/**
+ * Run the info command
+ * @param {Array} args - [file]
+ * @param {Object} options - Parsed options
+ * @returns {number} - Exit code
+ */
+function runInfo(args, options) {
+  const { validation, itemsData } = loadItemsFile(args[0], options.locale);
+  const ids = Object.keys(itemsData).map(id => parseInt(id));
+  const categories = countItemCategories(itemsData);
+
+  const info = {
+    file: path.basename(args[0]),
+    format: validation.format,
+    version: validation.version,
+    items: ids.length,
+    minId: ids.length > 0 ? Math.min(...ids) : null,
+    maxId: ids.length > 0 ? Math.max(...ids) : null,
+    categories: categories
+  };
+
+  printResult(options, info, () => [
+    `${info.file} (${info.format}${info.version !== undefined ? ` v${info.version}` : ''})`,
+    `Items: ${info.items}` + (info.items > 0 ? `, IDs ${info.minId}-${info.maxId}` : ''),
+    '',
+    formatTable(['Category', 'Items'], Object.entries(categories))
+  ].join('\n'));
+
+  return 0;
+}
+
+/**
+ * Run the validate command
+ * @param {Array} args - [file]
+ * @param {Object} options - Parsed options
+ * @returns {number} - Exit code, 1 if the bot would reject the upload
+ */
+function runValidate(args, options) {
+  const { validation, itemsData, report } = loadItemsFile(args[0], options.locale);
+  const itemCount = Object.keys(itemsData).length;
+  const errorCount = countParseErrors(report);
+
+  // Same checks as /additems, including its strict option
+  let reason = validation.valid ? null : validation.reason;
+  if (!reason && itemCount === 0) {
+    reason = t(options.locale, 'validation.noItemsParsed');
+  } else if (!reason && options.strict && errorCount > 0) {
+    reason = t(options.locale, 'validation.strictErrors', { count: errorCount });
+  }
+
+  printResult(options, {
+    file: path.basename(args[0]),
+    valid: reason === null,
+    reason: reason,
+    warning: validation.warning || null,
+    items: itemCount,
+    report: report
+  }, () => [
+    reason === null ? `OK: ${itemCount} items can be uploaded.` : `Rejected: ${reason}`,
+    ...(validation.warning ? [`Note: ${validation.warning}`] : []),
+    '',
+    formatParseReport(report, path.basename(args[0]))
+  ].join('\n'));
+
+  return reason === null ? 0 : 1;
+}
+
+const CLI_COMMANDS = {
+  search: runSearch,
+  item: runItem,
+  info: runInfo,
+  validate: runValidate
+};
+
+/**
+ * Run the command line tool
+ * @param {Array} argv - Arguments after the script name
+ * @returns {number} - Process exit code
+ */
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArguments(argv);
+  } catch (e) {
+    process.stderr.write(`${e.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const { args, options } = parsed;
+  const command = CLI_COMMANDS[args[0]];
+
+  if (options.help || !command || args.length < 2) {
+    process.stderr.write(`${USAGE}\n`);
+    return options.help ? 0 : 2;
+  }
+
+  try {
+    return command(args.slice(1), options);
+  } catch (e) {
+    process.stderr.write(`Error: ${e.message}\n`);
+    return e.code === 'ENOENT' ? 2 : 1;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
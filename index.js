@@ -1,13 +1,46 @@
 // Import required modules
-const { Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder, PermissionFlagsBits, Status } = require('discord.js');
 const { REST } = require('@discordjs/rest');
 const { Routes } = require('discord-api-types/v9');
 const fs = require('fs');
 const path = require('path');
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const v8 = require('v8');
+const {
+  ITEM_FIELDS,
+  ITEM_CATEGORIES,
+  createItemRecord,
+  getItemCategory,
+  countItemCategories,
+  getItemNames,
+  createItemsDiff,
+  countParseErrors,
+  parseItemsContent,
+  formatParseReport,
+  parseItemsDat,
+  validateItemsFile,
+  checkItemsFormat
+} = require('./lib/items');
+const {
+  GUILD_ITEMS_DATA,
+  GUILD_ITEM_NAMES_LOWER,
+  GUILD_SEARCH_INDEX,
+  initializeGuildItems,
+  scanItemsByQuery,
+  searchIndexedItems,
+  parseSearchQuery,
+  findItemsByQuery,
+  suggestItemNames,
+  resolveItemId,
+  findItemMentions
+} = require('./lib/search');
+const { LOCALES, DEFAULT_LOCALE, t, resolveLocale } = require('./lib/i18n');
+const { createRateLimiter } = require('./lib/rate-limit');
 
-// Set up Express server for keep-alive
+// Set up Express server for keep-alive and the REST API
 function keepAlive() {
   const app = express();
   const port = process.env.PORT || 3000;
@@ -16,393 +49,3781 @@ function keepAlive() {
     res.send('Bot is alive!');
   });
 
+  app.get('/ready', (req, res) => {
+    const readiness = getReadiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+  });
+
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+  });
+
+  app.use('/api', createApiRouter());
+
   app.listen(port, () => {
     console.log(`Server is running on port ${port}`);
   });
 }
 
-// Discord bot configuration
-const client = new Client({ 
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages
-  ]
-});
-
-// Guild-specific items data storage
-const GUILD_ITEMS_DATA = {};
-const GUILD_ITEM_NAMES_LOWER = {};
-
 /**
- * Parse the items.txt content and return a dictionary of item IDs to names
- * @param {string} content - Content of the items file
- * @returns {Object} - Dictionary of item IDs to names
+ * Read a whole-number setting from the environment.
+ * Unset or empty variables use the default, so 0 stays a value that can be configured.
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @param {number} min - Smallest accepted value
+ * @returns {number} - The configured value
  */
-function parseItemsContent(content) {
-  const itemsData = {};
-
-  let lineCount = 0;
-  let successCount = 0;
-  let errorCount = 0;
+function readEnvInt(name, defaultValue, min = 0) {
+  const raw = (process.env[name] || '').trim();
+  if (!raw) {
+    return defaultValue;
+  }
 
-  try {
-    const lines = content.split('\n');
+  if (!/^\d+$/.test(raw) || parseInt(raw) < min) {
+    console.log(`[WARN] ${name} must be a whole number of at least ${min}, using ${defaultValue}`);
+    return defaultValue;
+  }
 
-    for (const line of lines) {
-      lineCount++;
-      const trimmedLine = line.trim();
+  return parseInt(raw);
+}
 
-      if (!trimmedLine.startsWith('add_item')) {
-        continue;
-      }
+// Discord IDs are numeric snowflakes
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
 
-      // Improved splitting that handles empty fields
-      const parts = trimmedLine.split('\\').filter(p => p !== '');
+// REST API rate limit, per client address
+const API_RATE_LIMIT = readEnvInt('API_RATE_LIMIT', 60);
+const API_RATE_WINDOW = 60 * 1000;
+const API_MAX_PAGE_SIZE = 100;
+const API_RATE_LIMITER = createRateLimiter({
+  api: { window: API_RATE_WINDOW, client: API_RATE_LIMIT }
+});
 
-      // Skip if we don't have enough parts
-      if (parts.length < 6) {
-        errorCount++;
-        console.log(`[WARN] Line ${lineCount}: Insufficient parts (${parts.length}) - ${trimmedLine.substring(0, 60)}...`);
-        continue;
-      }
+/**
+ * Hash an API token for storage and lookup, so plain tokens are never kept
+ * @param {string} token - Plain API token
+ * @returns {string} - Hex SHA-256 hash
+ */
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-      try {
-        const itemId = parseInt(parts[1]);
-        const itemName = parts[6].trim();
+/**
+ * Express middleware that checks the guild's API token from the Authorization header
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function authenticateApiRequest(req, res, next) {
+  const guildId = req.params.guildId;
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
 
-        // Skip empty names
-        if (!itemName) {
-          errorCount++;
-          console.log(`[WARN] Line ${lineCount}: Empty item name - ID ${itemId}`);
-          continue;
-        }
+  if (!match) {
+    res.status(401).json({ error: 'Missing bearer token' });
+    return;
+  }
 
-        // Store the item
-        itemsData[itemId] = itemName;
-        successCount++;
+  // Look the config up without creating it, requests for unknown guilds must not add one
+  const hash = hashApiToken(match[1]);
+  const config = findGuildConfig(guildId);
+  const token = config && (config.apiTokens || []).find(entry =>
+    crypto.timingSafeEqual(Buffer.from(entry.hash, 'hex'), Buffer.from(hash, 'hex')));
 
-      } catch (e) {
-        errorCount++;
-        console.log(`[ERROR] Line ${lineCount}: Failed to parse - ${e.message} - ${trimmedLine.substring(0, 60)}...`);
-        continue;
-      }
-    }
+  if (!token) {
+    res.status(401).json({ error: 'Invalid token for this guild' });
+    return;
+  }
 
-    console.log(`\n[SUMMARY] Parsing complete:`);
-    console.log(`- Total lines processed: ${lineCount}`);
-    console.log(`- Items successfully parsed: ${successCount}`);
-    console.log(`- Lines with errors: ${errorCount}`);
+  req.apiToken = token;
+  next();
+}
 
-    return itemsData;
-  } catch (e) {
-    console.log(`[ERROR] Error reading content: ${e.message}`);
-    return {};
+/**
+ * Express middleware that rejects guild IDs that are not Discord snowflakes
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function validateApiGuildId(req, res, next) {
+  if (!SNOWFLAKE_PATTERN.test(req.params.guildId)) {
+    res.status(400).json({ error: 'Invalid guild ID' });
+    return;
   }
+
+  next();
 }
 
 /**
- * Validate if file content is a proper items.txt format
- * @param {string} content - Content of the file
- * @returns {Object} - Validation result
+ * Express middleware that limits each client address to a number of requests per minute.
+ * It runs before authentication, so failed token guesses count too.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
  */
-function validateItemsFile(content) {
-  // Check if file contains at least some add_item entries
-  const lines = content.split('\n');
-  let addItemCount = 0;
+function rateLimitApiRequest(req, res, next) {
+  const scopes = { client: req.ip || 'unknown' };
+  const waitMs = API_RATE_LIMITER.consume('api', scopes);
+  const status = API_RATE_LIMITER.getStatus('api', scopes);
 
-  for (const line of lines) {
-    if (line.trim().startsWith('add_item')) {
-      addItemCount++;
-      if (addItemCount >= 5) {  // If we find at least 5 add_item entries, consider it valid
-        return { valid: true };
-      }
-    }
-  }
+  res.set('X-RateLimit-Limit', status.limit.toString());
+  res.set('X-RateLimit-Remaining', status.remaining.toString());
+  res.set('X-RateLimit-Reset', Math.ceil(status.resetAt / 1000).toString());
 
-  if (addItemCount === 0) {
-    return { 
-      valid: false, 
-      reason: "File tidak valid: Tidak ditemukan entri 'add_item' dalam file."
-    };
-  } else if (addItemCount < 5) {
-    return { 
-      valid: true, 
-      warning: `Hanya ditemukan ${addItemCount} entri 'add_item'. Format mungkin tidak lengkap.`
-    };
+  if (waitMs > 0) {
+    res.set('Retry-After', Math.ceil(waitMs / 1000).toString());
+    res.status(429).json({ error: 'Rate limit exceeded' });
+    return;
   }
 
-  return { valid: true };
+  next();
 }
 
 /**
- * Initialize items data for a guild
- * @param {string} guildId - Discord guild ID
- * @param {Object} itemsData - Dictionary of item IDs to names
+ * Express middleware that rejects requests for guilds without a database.
+ * The database the guild reads from is stored in res.locals.sourceId.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
  */
-function initializeGuildItems(guildId, itemsData) {
-  GUILD_ITEMS_DATA[guildId] = itemsData;
-  GUILD_ITEM_NAMES_LOWER[guildId] = {};
+function requireGuildItems(req, res, next) {
+  const sourceId = getItemsSourceId(req.params.guildId);
+  const items = GUILD_ITEMS_DATA[sourceId];
 
-  for (const [key, value] of Object.entries(itemsData)) {
-    GUILD_ITEM_NAMES_LOWER[guildId][key] = value.toLowerCase();
+  if (!items || Object.keys(items).length === 0) {
+    res.status(404).json({ error: 'No items database registered for this guild' });
+    return;
   }
+
+  res.locals.sourceId = sourceId;
+  next();
 }
 
 /**
- * Find items by query with type filter and pagination for a specific guild
- * @param {string} guildId - Discord guild ID
- * @param {string} query - Search query
- * @param {string} type - Filter by 'block', 'seed', or 'all'
- * @param {number} limit - Maximum number of results to return
- * @returns {Array} - Array of matching items with IDs
+ * Read a positive integer query parameter
+ * @param {string} value - Raw query value
+ * @param {number} defaultValue - Value used when the parameter is missing
+ * @param {number} max - Largest accepted value
+ * @returns {number|null} - Parsed value, or null if it is invalid
  */
-function findItemsByQuery(guildId, query, type = 'all', limit = 500) {
-  if (!GUILD_ITEMS_DATA[guildId]) {
-    return [];
+function parsePositiveInt(value, defaultValue, max = Infinity) {
+  if (value === undefined || value === '') {
+    return defaultValue;
   }
 
-  query = query.toLowerCase().trim();
-  if (!query) {
-    return [];
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+    return null;
   }
 
-  let matches = [];
-  for (const itemId in GUILD_ITEM_NAMES_LOWER[guildId]) {
-    const nameLower = GUILD_ITEM_NAMES_LOWER[guildId][itemId];
-    const name = GUILD_ITEMS_DATA[guildId][itemId];
+  return parsed;
+}
+
+// Search type filters accepted by the API; 'block' (anything but a seed) predates the categories
+const API_SEARCH_TYPES = ['all', ...ITEM_CATEGORIES, 'block'];
 
-    if (nameLower.includes(query)) {
-      // Apply type filter if specified
-      if (type === 'block' && nameLower.includes('seed')) {
-        continue;
-      } else if (type === 'seed' && !nameLower.includes('seed')) {
-        continue;
-      }
+/**
+ * Create the REST API router
+ * @returns {Object} - Express router
+ */
+function createApiRouter() {
+  const router = express.Router();
+
+  router.use('/guilds/:guildId', validateApiGuildId, rateLimitApiRequest, authenticateApiRequest);
+
+  // Search items, with the same filters as /search
+  router.get('/guilds/:guildId/items/search', requireGuildItems, (req, res) => {
+    const sourceId = res.locals.sourceId;
+    const query = (req.query.q || '').toString().trim();
+    const type = (req.query.type || 'all').toString();
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = parsePositiveInt(req.query.limit, SEARCH_ITEMS_PER_PAGE, API_MAX_PAGE_SIZE);
 
-      matches.push([parseInt(itemId), name]);
+    if (!query) {
+      res.status(400).json({ error: "Query parameter 'q' is required" });
+      return;
+    } else if (!API_SEARCH_TYPES.includes(type)) {
+      res.status(400).json({ error: `Parameter 'type' must be one of: ${API_SEARCH_TYPES.join(', ')}` });
+      return;
+    } else if (page === null || limit === null) {
+      res.status(400).json({ error: `Parameters 'page' and 'limit' must be positive integers, limit at most ${API_MAX_PAGE_SIZE}` });
+      return;
     }
-  }
 
-  // Sort by ID and apply limit
-  matches.sort((a, b) => a[0] - b[0]);
-  return matches.slice(0, limit);
+    const parsed = parseSearchQuery(query, 'en');
+    if (!parsed.valid) {
+      res.status(400).json({ error: parsed.reason, pointer: parsed.pointer });
+      return;
+    }
+
+    const matches = findItemsByQuery(sourceId, query, type, Infinity);
+    const start = (page - 1) * limit;
+
+    res.json({
+      query: query,
+      type: type,
+      page: page,
+      limit: limit,
+      total: matches.length,
+      totalPages: Math.ceil(matches.length / limit),
+      items: matches.slice(start, start + limit).map(([itemId]) => GUILD_ITEMS_DATA[sourceId][itemId])
+    });
+  });
+
+  // Fetch a single item by ID
+  router.get('/guilds/:guildId/items/:itemId', requireGuildItems, (req, res) => {
+    const item = /^\d+$/.test(req.params.itemId) ? GUILD_ITEMS_DATA[res.locals.sourceId][req.params.itemId] : null;
+
+    if (!item) {
+      res.status(404).json({ error: `Item ${req.params.itemId} not found` });
+      return;
+    }
+
+    res.json(item);
+  });
+
+  // Database information, as shown by /itemsinfo
+  router.get('/guilds/:guildId/info', requireGuildItems, (req, res) => {
+    const sourceId = res.locals.sourceId;
+    const meta = GUILD_ITEMS_META[sourceId] || {};
+    const itemCount = Object.keys(GUILD_ITEMS_DATA[sourceId]).length;
+    const categories = countItemCategories(GUILD_ITEMS_DATA[sourceId]);
+
+    res.json({
+      source: describeItemsSource(req.params.guildId),
+      itemCount: itemCount,
+      categories: categories,
+      // Counts from before categories existed, kept for existing API clients
+      blockCount: itemCount - categories.seed,
+      seedCount: categories.seed,
+      uploadedAt: meta.uploadedAt || null,
+      uploadedBy: meta.uploadedBy || null,
+      versionId: meta.versionId || null
+    });
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  return router;
 }
 
+// Operational state reported by /ready
+const BOT_HEALTH = {
+  startedAt: new Date().toISOString(),
+  commandsRegisteredAt: null,
+  commandRegistrationError: null
+};
+
+// Command handler latency histogram buckets, in seconds
+const METRIC_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Per-command counters collected by the interaction dispatcher
+const COMMAND_METRICS = {};
+
 /**
- * Create paginated embed for search results
- * @param {Array} matches - Array of matching items
- * @param {number} page - Current page number
- * @param {number} itemsPerPage - Items per page
- * @param {string} query - Search query
- * @param {string} type - Filter type
- * @returns {Object} - Page info and embed
+ * Describe whether the bot is connected and has its commands registered
+ * @returns {Object} - Readiness report
  */
-function createPaginatedEmbed(matches, page, itemsPerPage, query, type) {
-  const totalItems = matches.length;
-  const totalPages = Math.ceil(totalItems / itemsPerPage);
+function getReadiness() {
+  const gatewayStatus = client.ws.status;
+  const commandsRegistered = BOT_HEALTH.commandsRegisteredAt !== null;
 
-  // Ensure page is within bounds
-  page = Math.max(1, Math.min(page, totalPages));
+  return {
+    ready: gatewayStatus === Status.Ready && commandsRegistered,
+    gateway: {
+      status: Status[gatewayStatus] || 'Unknown',
+      ping: client.ws.ping >= 0 ? client.ws.ping : null
+    },
+    commands: {
+      registered: commandsRegistered,
+      registeredAt: BOT_HEALTH.commandsRegisteredAt,
+      error: BOT_HEALTH.commandRegistrationError
+    },
+    startedAt: BOT_HEALTH.startedAt,
+    uptimeSeconds: Math.round(process.uptime())
+  };
+}
 
-  const startIndex = (page - 1) * itemsPerPage;
-  const endIndex = Math.min(startIndex + itemsPerPage, totalItems);
-  const pageItems = matches.slice(startIndex, endIndex);
+/**
+ * Record one command invocation for /metrics
+ * @param {string} commandName - Slash command name
+ * @param {number} durationSeconds - Time spent in the handler
+ * @param {boolean} failed - Whether the handler threw
+ */
+function recordCommandMetrics(commandName, durationSeconds, failed) {
+  if (!COMMAND_METRICS[commandName]) {
+    COMMAND_METRICS[commandName] = {
+      count: 0,
+      errors: 0,
+      durationSum: 0,
+      buckets: METRIC_DURATION_BUCKETS.map(() => 0)
+    };
+  }
 
-  // Create embed
-  const embed = new EmbedBuilder()
-    .setTitle(`Search results for '${query}'${type !== 'all' ? ` (Type: ${type})` : ''}`)
-    .setDescription(`Found ${totalItems} matches. Showing page ${page}/${totalPages}`)
-    .setColor(0x3498DB);
+  const metrics = COMMAND_METRICS[commandName];
+  metrics.count++;
+  metrics.durationSum += durationSeconds;
+  if (failed) {
+    metrics.errors++;
+  }
 
-  // Add fields for items
-    if (pageItems.length > 0) {
-      let fieldContent = '';
-
-      for (const [itemId, itemName] of pageItems) {
-        fieldContent += `• \`${itemId}\` - ${itemName}\n`;
-      }
-
-      // Split content into multiple fields if it exceeds Discord's limit
-      if (fieldContent.length > 1024) {
-        const chunks = [];
-        let currentChunk = '';
-        const lines = fieldContent.split('\n');
-        
-        for (const line of lines) {
-          if ((currentChunk + line + '\n').length > 1024) {
-            chunks.push(currentChunk);
-            currentChunk = line + '\n';
-          } else {
-            currentChunk += line + '\n';
-          }
-        }
-        if (currentChunk) chunks.push(currentChunk);
-
-        // Add each chunk as a separate field
-        chunks.forEach((chunk, index) => {
-          embed.addFields([{
-            name: index === 0 ? `Items (${startIndex + 1}-${endIndex})` : `Continued...`,
-            value: chunk
-          }]);
-        });
-      } else {
-        embed.addFields([{ 
-          name: `Items (${startIndex + 1}-${endIndex})`, 
-          value: fieldContent || 'No items to display' 
-        }]);
-      }
-    } else {
-      embed.addFields([{ 
-        name: 'No items found', 
-        value: 'Try a different search query' 
-      }]);
+  METRIC_DURATION_BUCKETS.forEach((bound, index) => {
+    if (durationSeconds <= bound) {
+      metrics.buckets[index]++;
     }
+  });
+}
 
-  return {
-    currentPage: page,
-    totalPages: totalPages,
-    embed: embed
-  };
+/**
+ * Escape a Prometheus label value
+ * @param {string} value - Raw label value
+ * @returns {string} - Escaped label value
+ */
+function escapeMetricLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
 }
 
-// Register slash commands
-const commands = [
-  {
-    name: 'search',
-    description: 'Mencari item berdasarkan nama dengan filter tipe opsional',
-    options: [
-      {
-        name: 'query',
-        description: 'Kata kunci pencarian',
-        type: 3, // STRING
-        required: true
-      },
-      {
-        name: 'type',
-        description: 'Filter berdasarkan tipe item',
-        type: 3, // STRING
-        required: false,
-        choices: [
-          { name: 'All', value: 'all' },
-          { name: 'Block', value: 'block' },
-          { name: 'Seed', value: 'seed' }
-        ]
-      },
-      {
-        name: 'page',
-        description: 'Nomor halaman',
-        type: 4, // INTEGER
-        required: false
-      }
-    ]
-  },
-  {
-    name: 'item',
-    description: 'Mendapatkan informasi tentang item berdasarkan ID',
-    options: [
-      {
-        name: 'item_id',
-        description: 'ID Item',
-        type: 4, // INTEGER
-        required: true
-      }
-    ]
-  },
-  {
-    name: 'additems',
-    description: 'Menambahkan atau memperbarui database items.txt untuk server ini',
-    options: [
-      {
-        name: 'file',
-        description: 'File items.txt untuk diupload',
-        type: 11, // ATTACHMENT
-        required: true
-      }
-    ]
-  },
-  {
-    name: 'delitems',
-    description: 'Menghapus database items.txt untuk server ini'
-  },
-  {
-    name: 'itemsinfo',
-    description: 'Menampilkan informasi tentang database items.txt di server ini'
-  }
-];
+/**
+ * Render all metrics in the Prometheus text exposition format
+ * @returns {string} - Metrics text
+ */
+function renderMetrics() {
+  const lines = [];
+  const commandNames = Object.keys(COMMAND_METRICS).sort();
 
-// On ready event handler
-client.on('ready', async () => {
-  console.log(`\n[STARTUP] Logged in as ${client.user.tag} (ID: ${client.user.id})`);
-  console.log('------');
+  lines.push('# HELP itemfinder_commands_total Slash commands handled, by command.');
+  lines.push('# TYPE itemfinder_commands_total counter');
+  commandNames.forEach(name => {
+    lines.push(`itemfinder_commands_total{command="${escapeMetricLabel(name)}"} ${COMMAND_METRICS[name].count}`);
+  });
 
-  // Register slash commands
-  try {
-    const rest = new REST({ version: '9' }).setToken(process.env.TOKEN);
+  lines.push('# HELP itemfinder_command_errors_total Slash command handlers that threw, by command.');
+  lines.push('# TYPE itemfinder_command_errors_total counter');
+  commandNames.forEach(name => {
+    lines.push(`itemfinder_command_errors_total{command="${escapeMetricLabel(name)}"} ${COMMAND_METRICS[name].errors}`);
+  });
 
-    await rest.put(
-      Routes.applicationCommands(client.user.id),
-      { body: commands }
-    );
+  lines.push('# HELP itemfinder_command_duration_seconds Slash command handler latency.');
+  lines.push('# TYPE itemfinder_command_duration_seconds histogram');
+  commandNames.forEach(name => {
+    const metrics = COMMAND_METRICS[name];
+    const label = escapeMetricLabel(name);
 
-    console.log("\n[COMMANDS] Slash commands registered successfully");
-  } catch (e) {
-    console.log(`[ERROR] Failed to register commands: ${e.message}`);
-  }
+    METRIC_DURATION_BUCKETS.forEach((bound, index) => {
+      lines.push(`itemfinder_command_duration_seconds_bucket{command="${label}",le="${bound}"} ${metrics.buckets[index]}`);
+    });
+    lines.push(`itemfinder_command_duration_seconds_bucket{command="${label}",le="+Inf"} ${metrics.count}`);
+    lines.push(`itemfinder_command_duration_seconds_sum{command="${label}"} ${metrics.durationSum}`);
+    lines.push(`itemfinder_command_duration_seconds_count{command="${label}"} ${metrics.count}`);
+  });
 
-  console.log('------\nBot is ready!');
-});
+  const databaseIds = Object.keys(GUILD_ITEMS_DATA);
+  const totalItems = databaseIds.reduce((sum, databaseId) => sum + Object.keys(GUILD_ITEMS_DATA[databaseId]).length, 0);
 
-// Slash command interaction handler
-client.on('interactionCreate', async interaction => {
-  if (!interaction.isCommand()) return;
+  lines.push('# HELP itemfinder_loaded_guilds Guilds with an item database in memory.');
+  lines.push('# TYPE itemfinder_loaded_guilds gauge');
+  lines.push(`itemfinder_loaded_guilds ${databaseIds.filter(databaseId => databaseId !== DEFAULT_DATABASE_ID).length}`);
 
-  const { commandName } = interaction;
+  lines.push('# HELP itemfinder_items_in_memory Items held in memory across all guilds.');
+  lines.push('# TYPE itemfinder_items_in_memory gauge');
+  lines.push(`itemfinder_items_in_memory ${totalItems}`);
 
-  switch (commandName) {
-    case 'search':
-      await handleSearchCommand(interaction);
-      break;
+  lines.push('# HELP itemfinder_default_database_items Items in the bot-wide default database.');
+  lines.push('# TYPE itemfinder_default_database_items gauge');
+  lines.push(`itemfinder_default_database_items ${GUILD_ITEMS_DATA[DEFAULT_DATABASE_ID] ? Object.keys(GUILD_ITEMS_DATA[DEFAULT_DATABASE_ID]).length : 0}`);
 
-    case 'item':
-      await handleItemCommand(interaction);
-      break;
+  lines.push('# HELP itemfinder_search_sessions Active search pagination sessions.');
+  lines.push('# TYPE itemfinder_search_sessions gauge');
+  lines.push(`itemfinder_search_sessions ${SEARCH_SESSIONS.size}`);
 
-    case 'additems':
-      await handleAddItemsCommand(interaction);
-      break;
+  lines.push('# HELP itemfinder_rate_limited_total Interactions refused by a rate limit, by category.');
+  lines.push('# TYPE itemfinder_rate_limited_total counter');
+  Object.keys(RATE_LIMITS).forEach(category => {
+    lines.push(`itemfinder_rate_limited_total{category="${category}"} ${RATE_LIMITED_COUNTS[category] || 0}`);
+  });
 
-    case 'delitems':
-      await handleDelItemsCommand(interaction);
-      break;
+  lines.push('# HELP itemfinder_heap_used_bytes JavaScript heap in use.');
+  lines.push('# TYPE itemfinder_heap_used_bytes gauge');
+  lines.push(`itemfinder_heap_used_bytes ${process.memoryUsage().heapUsed}`);
 
-    case 'itemsinfo':
-      await handleItemsInfoCommand(interaction);
-      break;
-  }
+  lines.push('# HELP itemfinder_memory_budget_bytes Memory budget that new databases are checked against.');
+  lines.push('# TYPE itemfinder_memory_budget_bytes gauge');
+  lines.push(`itemfinder_memory_budget_bytes ${MEMORY_BUDGET}`);
+
+  lines.push('# HELP itemfinder_gateway_ping_seconds Discord gateway heartbeat latency.');
+  lines.push('# TYPE itemfinder_gateway_ping_seconds gauge');
+  lines.push(`itemfinder_gateway_ping_seconds ${client.ws.ping >= 0 ? client.ws.ping / 1000 : 'NaN'}`);
+
+  lines.push('# HELP itemfinder_gateway_ready Whether the Discord gateway connection is ready.');
+  lines.push('# TYPE itemfinder_gateway_ready gauge');
+  lines.push(`itemfinder_gateway_ready ${client.ws.status === Status.Ready ? 1 : 0}`);
+
+  return lines.join('\n') + '\n';
+}
+
+// Discord bot configuration
+const client = new Client({ 
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages
+  ]
 });
 
+// Guild-specific upload metadata and settings, the items themselves live in lib/search
+const GUILD_ITEMS_META = {};
+const GUILD_CONFIG = {};
+
+// Favorite items and saved searches, keyed by guild ID and then user ID
+const GUILD_FAVORITES = {};
+const MAX_FAVORITE_ITEMS = 50;
+const MAX_SAVED_SEARCHES = 25;
+const MAX_SAVED_SEARCH_NAME = 50;
+
+// Local storage for guild databases, so uploads survive restarts
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const GUILD_DATA_DIR = path.join(DATA_DIR, 'guilds');
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const CONFIG_DIR = path.join(DATA_DIR, 'config');
+const FAVORITES_DIR = path.join(DATA_DIR, 'favorites');
+
+// Discord locales served by each catalog, used for command localizations
+const DISCORD_LOCALES = {
+  id: ['id'],
+  en: ['en-US', 'en-GB']
+};
+
+// Number of uploaded versions kept per guild for rollback
+const MAX_HISTORY_VERSIONS = readEnvInt('MAX_HISTORY_VERSIONS', 5, 1);
+
 /**
- * Handle the search command
+ * Pick the reply language for an interaction.
+ * A guild-level language overrides the user's Discord locale.
  * @param {Object} interaction - Discord interaction
+ * @returns {string} - Catalog locale
  */
-async function handleSearchCommand(interaction) {
-  const guildId = interaction.guildId;
+function getInteractionLocale(interaction) {
+  const config = interaction.guildId ? findGuildConfig(interaction.guildId) : null;
 
-  if (!GUILD_ITEMS_DATA[guildId] || Object.keys(GUILD_ITEMS_DATA[guildId]).length === 0) {
-    await interaction.reply({
-      content: "⚠️ Database items.txt belum didaftarkan di server ini. Silakan gunakan `/additems` untuk mengunggah file items.txt terlebih dahulu.",
-      flags: 64
-    });
-    return;
+  if (config && LOCALES[config.language]) {
+    return config.language;
   }
 
-  const query = interaction.options.getString('query')?.trim();
-  const type = interaction.options.getString('type') || 'all';
-  let page = interaction.options.getInteger('page') || 1;
+  return resolveLocale(interaction.locale) || DEFAULT_LOCALE;
+}
+
+/**
+ * Build a Discord localization map for a catalog key
+ * @param {string} key - Catalog key
+ * @returns {Object} - Map of Discord locales to translated strings
+ */
+function getLocalizations(key) {
+  const localizations = {};
+
+  for (const [locale, discordLocales] of Object.entries(DISCORD_LOCALES)) {
+    for (const discordLocale of discordLocales) {
+      localizations[discordLocale] = t(locale, key);
+    }
+  }
+
+  return localizations;
+}
+
+/**
+ * Build a localized description for a command or option definition
+ * @param {string} key - Catalog key
+ * @returns {Object} - description and description_localizations
+ */
+function localizeDescription(key) {
+  return {
+    description: t(DEFAULT_LOCALE, key),
+    description_localizations: getLocalizations(key)
+  };
+}
+
+/**
+ * Build a localized name for a command choice
+ * @param {string} key - Catalog key
+ * @returns {Object} - name and name_localizations
+ */
+function localizeName(key) {
+  return {
+    name: t(DEFAULT_LOCALE, key),
+    name_localizations: getLocalizations(key)
+  };
+}
+
+/**
+ * Format a parse report as a plain text file for the uploader
+ * @param {Object} report - Parse report
+ * @param {string} fileName - Name of the uploaded file
+ * @returns {AttachmentBuilder} - Text attachment
+ */
+function createParseReportAttachment(report, fileName) {
+  return new AttachmentBuilder(Buffer.from(formatParseReport(report, fileName), 'utf8'), { name: 'validation-report.txt' });
+}
+
+/**
+ * Remove a guild's items data from memory
+ * @param {string} guildId - Discord guild ID
+ */
+function unloadGuildItems(guildId) {
+  delete GUILD_ITEMS_DATA[guildId];
+  delete GUILD_ITEM_NAMES_LOWER[guildId];
+  delete GUILD_SEARCH_INDEX[guildId];
+  delete GUILD_ITEMS_META[guildId];
+}
+
+/**
+ * Get the path of the file that stores a guild's database
+ * @param {string} guildId - Discord guild ID
+ * @returns {string} - Absolute path to the guild's JSON file
+ */
+function getGuildDataPath(guildId) {
+  return path.join(GUILD_DATA_DIR, `${guildId}.json`);
+}
+
+/**
+ * Write JSON text to a file, creating its directory if needed
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} json - Serialized JSON
+ */
+async function writeJsonText(filePath, json) {
+  // Every write gets its own temporary file, so concurrent writes to one path never interleave
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write to a temporary file first so a crash never leaves a half-written file
+  try {
+    await fs.promises.writeFile(tempPath, json);
+    await fs.promises.rename(tempPath, filePath);
+  } catch (e) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * Write JSON data to a file, creating its directory if needed
+ * @param {string} filePath - Absolute path of the file
+ * @param {*} data - Data to serialize
+ */
+async function writeJsonFile(filePath, data) {
+  await writeJsonText(filePath, JSON.stringify(data));
+}
+
+/**
+ * Save a guild's items data and upload metadata to local storage
+ * @param {string} guildId - Discord guild ID
+ * @param {string} itemsJson - The items already serialized, e.g. by the upload worker
+ */
+async function saveGuildItems(guildId, itemsJson = JSON.stringify(GUILD_ITEMS_DATA[guildId] || {})) {
+  // The items are spliced in as text so a large database is never serialized twice
+  await writeJsonText(getGuildDataPath(guildId),
+    `{"guildId":${JSON.stringify(guildId)},"meta":${JSON.stringify(GUILD_ITEMS_META[guildId] || {})},"items":${itemsJson}}`);
+}
+
+/**
+ * Remove a guild's stored database from local storage
+ * @param {string} guildId - Discord guild ID
+ */
+async function deleteGuildItems(guildId) {
+  try {
+    await fs.promises.unlink(getGuildDataPath(guildId));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+}
+
+/**
+ * Load every stored guild database back into memory
+ * @returns {number} - Number of guild databases loaded
+ */
+async function loadAllGuildItems() {
+  let files;
+  try {
+    files = await fs.promises.readdir(GUILD_DATA_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return 0;
+    }
+    throw e;
+  }
+
+  let loadedCount = 0;
+
+  for (const file of files) {
+    const match = file.match(/^(\d+)\.json$/);
+    if (!match) {
+      continue;
+    }
+
+    const guildId = match[1];
+
+    try {
+      const filePath = path.join(GUILD_DATA_DIR, file);
+      const stat = await fs.promises.stat(filePath);
+      if (isMemoryBudgetExceeded(estimateDatabaseHeap(stat.size, 'json'))) {
+        console.log(`[ERROR] Not loading stored database for guild ${guildId}: memory budget reached`);
+        continue;
+      }
+
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      const payload = JSON.parse(raw);
+      const itemsData = {};
+
+      // Databases stored before item records existed only hold names
+      for (const [itemId, item] of Object.entries(payload.items || {})) {
+        itemsData[itemId] = typeof item === 'string' ? createItemRecord(parseInt(itemId), item) : item;
+      }
+
+      initializeGuildItems(guildId, itemsData);
+      GUILD_ITEMS_META[guildId] = payload.meta || {};
+      loadedCount++;
+    } catch (e) {
+      console.log(`[ERROR] Failed to load stored database for guild ${guildId}: ${e.message}`);
+    }
+  }
+
+  return loadedCount;
+}
+
+// Bot-wide default database, read by guilds without a database of their own
+const DEFAULT_DATABASE_DIR = process.env.DEFAULT_DATABASE_DIR || null;
+const DEFAULT_DATABASE_ID = 'default';
+const DEFAULT_DATABASE_FILE = /^items\.(txt|dat)$/i;
+const DEFAULT_DATABASE_RELOAD_DELAY = 1000;
+
+let defaultDatabaseWatcher = null;
+let defaultDatabaseReloadTimer = null;
+let defaultDatabaseReloading = false;
+let defaultDatabaseReloadPending = false;
+
+/**
+ * Find the items file in the default database directory, the newest one if there are several
+ * @returns {Object|null} - The file name, modification time and size, or null if there is none
+ */
+async function findDefaultDatabaseFile() {
+  const files = await fs.promises.readdir(DEFAULT_DATABASE_DIR);
+  let newest = null;
+
+  for (const file of files) {
+    if (!DEFAULT_DATABASE_FILE.test(file)) {
+      continue;
+    }
+
+    const stat = await fs.promises.stat(path.join(DEFAULT_DATABASE_DIR, file));
+    if (stat.isFile() && (!newest || stat.mtimeMs > newest.mtimeMs)) {
+      newest = { name: file, mtimeMs: stat.mtimeMs, size: stat.size };
+    }
+  }
+
+  return newest;
+}
+
+/**
+ * Parse a default database file in a worker thread, the same one uploads are parsed in
+ * @param {string} filePath - Absolute path of the items file
+ * @param {number} size - File size in bytes
+ * @returns {Object} - Worker result, see lib/parse-worker.js
+ */
+function runDefaultDatabaseWorker(filePath, size) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(PARSE_WORKER_PATH, {
+      workerData: {
+        filePath: filePath,
+        size: size,
+        // The memory budget was checked before, so the file size is not limited here
+        maxSize: Infinity,
+        strict: false,
+        oldNames: null
+      }
+    });
+    let settled = false;
+
+    const settle = (callback, value) => {
+      if (!settled) {
+        settled = true;
+        callback(value);
+      }
+    };
+
+    worker.on('message', message => {
+      if (message.type === 'done') {
+        settle(resolve, message.result);
+      } else if (message.type === 'error') {
+        settle(reject, new Error(message.message));
+      }
+    });
+
+    worker.on('error', e => settle(reject, e));
+    worker.on('exit', code => settle(reject, new Error(`Parser worker stopped with exit code ${code}`)));
+  });
+}
+
+/**
+ * Load the default database from DEFAULT_DATABASE_DIR.
+ * The previous default database stays loaded if the new file is invalid.
+ * @returns {number} - Number of items loaded
+ */
+async function loadDefaultDatabase() {
+  if (!DEFAULT_DATABASE_DIR) {
+    return 0;
+  }
+
+  const file = await findDefaultDatabaseFile();
+  if (!file) {
+    unloadGuildItems(DEFAULT_DATABASE_ID);
+    return 0;
+  }
+
+  // The old default database is still loaded while the new one is parsed
+  const format = file.name.toLowerCase().endsWith('.dat') ? 'dat' : 'txt';
+  if (isMemoryBudgetExceeded(estimateDatabaseHeap(file.size, format))) {
+    throw new Error(`${file.name}: memory budget reached`);
+  }
+
+  // Parsing a large file takes seconds, so it runs off the main thread like uploads do
+  const result = await runDefaultDatabaseWorker(path.join(DEFAULT_DATABASE_DIR, file.name), file.size);
+  const validation = checkItemsFormat(result, DEFAULT_LOCALE);
+  if (!validation.valid) {
+    throw new Error(`${file.name}: ${validation.reason}`);
+  }
+
+  const itemsData = result.itemsData;
+  if (Object.keys(itemsData).length === 0) {
+    throw new Error(`${file.name}: no items could be parsed`);
+  }
+
+  initializeGuildItems(DEFAULT_DATABASE_ID, itemsData, result.nameIndex);
+  GUILD_ITEMS_META[DEFAULT_DATABASE_ID] = {
+    fileName: file.name,
+    uploadedAt: new Date(file.mtimeMs).toISOString(),
+    uploadedBy: null
+  };
+
+  return Object.keys(itemsData).length;
+}
+
+/**
+ * Reload the default database after its directory changed
+ */
+async function reloadDefaultDatabase() {
+  // A change during a reload is loaded after it, so an older file never replaces a newer one
+  if (defaultDatabaseReloading) {
+    defaultDatabaseReloadPending = true;
+    return;
+  }
+
+  defaultDatabaseReloading = true;
+
+  try {
+    const itemCount = await loadDefaultDatabase();
+    console.log(`[STORAGE] Reloaded default database from ${DEFAULT_DATABASE_DIR} (${itemCount} items)`);
+  } catch (e) {
+    console.log(`[ERROR] Failed to reload default database: ${e.message}`);
+  } finally {
+    defaultDatabaseReloading = false;
+  }
+
+  if (defaultDatabaseReloadPending) {
+    defaultDatabaseReloadPending = false;
+    await reloadDefaultDatabase();
+  }
+}
+
+/**
+ * Watch the default database directory and reload the database when its file changes
+ */
+function watchDefaultDatabase() {
+  if (!DEFAULT_DATABASE_DIR || defaultDatabaseWatcher) {
+    return;
+  }
+
+  try {
+    defaultDatabaseWatcher = fs.watch(DEFAULT_DATABASE_DIR, (eventType, fileName) => {
+      if (fileName && !DEFAULT_DATABASE_FILE.test(fileName)) {
+        return;
+      }
+
+      // Copying a file fires several events, so wait until they settle
+      clearTimeout(defaultDatabaseReloadTimer);
+      defaultDatabaseReloadTimer = setTimeout(reloadDefaultDatabase, DEFAULT_DATABASE_RELOAD_DELAY);
+    });
+  } catch (e) {
+    console.log(`[ERROR] Failed to watch default database directory: ${e.message}`);
+  }
+}
+
+/**
+ * Check whether a database ID has items loaded
+ * @param {string} databaseId - Guild ID or DEFAULT_DATABASE_ID
+ * @returns {boolean} - True if the database has at least one item
+ */
+function hasItemsDatabase(databaseId) {
+  return Boolean(GUILD_ITEMS_DATA[databaseId]) && Object.keys(GUILD_ITEMS_DATA[databaseId]).length > 0;
+}
+
+/**
+ * Work out which database a guild reads items from: a shared guild database it
+ * subscribed to, its own upload, or the bot-wide default database, in that order
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object} - { type: 'shared'|'own'|'default'|'none', sourceId }
+ */
+function describeItemsSource(guildId) {
+  const config = findGuildConfig(guildId);
+  const subscribedTo = config && config.subscribedTo;
+
+  // A subscription only counts while the other guild still shares its database
+  if (subscribedTo && hasItemsDatabase(subscribedTo) && (findGuildConfig(subscribedTo) || {}).shareDatabase) {
+    return { type: 'shared', sourceId: subscribedTo };
+  } else if (hasItemsDatabase(guildId)) {
+    return { type: 'own', sourceId: guildId };
+  } else if (hasItemsDatabase(DEFAULT_DATABASE_ID)) {
+    return { type: 'default', sourceId: DEFAULT_DATABASE_ID };
+  }
+
+  return { type: 'none', sourceId: guildId };
+}
+
+/**
+ * Get the ID of the database a guild reads items from
+ * @param {string} guildId - Discord guild ID
+ * @returns {string} - Guild ID or DEFAULT_DATABASE_ID
+ */
+function getItemsSourceId(guildId) {
+  return describeItemsSource(guildId).sourceId;
+}
+
+/**
+ * Get a guild's stored configuration without creating one
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} - Guild configuration, or null if the guild has none
+ */
+function findGuildConfig(guildId) {
+  return Object.hasOwn(GUILD_CONFIG, guildId) ? GUILD_CONFIG[guildId] : null;
+}
+
+/**
+ * Get a guild's configuration, filling in defaults for missing settings
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object} - Guild configuration
+ */
+function getGuildConfig(guildId) {
+  if (!findGuildConfig(guildId)) {
+    GUILD_CONFIG[guildId] = {};
+  }
+
+  const config = GUILD_CONFIG[guildId];
+  config.roles = Object.assign({ upload: [], delete: [], restore: [] }, config.roles);
+  config.searchChannels = config.searchChannels || [];
+  config.apiTokens = config.apiTokens || [];
+  config.shareDatabase = Boolean(config.shareDatabase);
+  config.subscribedTo = config.subscribedTo || null;
+  return config;
+}
+
+/**
+ * Save a guild's configuration to local storage
+ * @param {string} guildId - Discord guild ID
+ */
+async function saveGuildConfig(guildId) {
+  await writeJsonFile(path.join(CONFIG_DIR, `${guildId}.json`), getGuildConfig(guildId));
+}
+
+/**
+ * Load every stored guild configuration back into memory
+ * @returns {number} - Number of guild configurations loaded
+ */
+async function loadAllGuildConfigs() {
+  let files;
+  try {
+    files = await fs.promises.readdir(CONFIG_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return 0;
+    }
+    throw e;
+  }
+
+  let loadedCount = 0;
+
+  for (const file of files) {
+    const match = file.match(/^(\d+)\.json$/);
+    if (!match) {
+      continue;
+    }
+
+    try {
+      const raw = await fs.promises.readFile(path.join(CONFIG_DIR, file), 'utf8');
+      GUILD_CONFIG[match[1]] = JSON.parse(raw);
+      loadedCount++;
+    } catch (e) {
+      console.log(`[ERROR] Failed to load config for guild ${match[1]}: ${e.message}`);
+    }
+  }
+
+  return loadedCount;
+}
+
+/**
+ * Get a user's favorites in a guild without creating an entry, for read-only use
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @returns {Object} - { items, searches }, empty lists if the user has no favorites
+ */
+function findUserFavorites(guildId, userId) {
+  const favorites = Object.hasOwn(GUILD_FAVORITES, guildId) && Object.hasOwn(GUILD_FAVORITES[guildId], userId)
+    ? GUILD_FAVORITES[guildId][userId]
+    : null;
+
+  return Object.assign({ items: [], searches: [] }, favorites);
+}
+
+/**
+ * Get a user's favorites in a guild, creating an empty entry if needed.
+ * Only for changes, reads use findUserFavorites.
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @returns {Object} - { items, searches }
+ */
+function getUserFavorites(guildId, userId) {
+  if (!GUILD_FAVORITES[guildId]) {
+    GUILD_FAVORITES[guildId] = {};
+  }
+
+  const favorites = GUILD_FAVORITES[guildId];
+  favorites[userId] = Object.assign({ items: [], searches: [] }, favorites[userId]);
+  return favorites[userId];
+}
+
+/**
+ * Save every user's favorites in a guild to local storage
+ * @param {string} guildId - Discord guild ID
+ */
+async function saveGuildFavorites(guildId) {
+  await writeJsonFile(path.join(FAVORITES_DIR, `${guildId}.json`), GUILD_FAVORITES[guildId] || {});
+}
+
+/**
+ * Load every stored guild's favorites back into memory
+ * @returns {number} - Number of guilds loaded
+ */
+async function loadAllGuildFavorites() {
+  let files;
+  try {
+    files = await fs.promises.readdir(FAVORITES_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return 0;
+    }
+    throw e;
+  }
+
+  let loadedCount = 0;
+
+  for (const file of files) {
+    const match = file.match(/^(\d+)\.json$/);
+    if (!match) {
+      continue;
+    }
+
+    try {
+      const raw = await fs.promises.readFile(path.join(FAVORITES_DIR, file), 'utf8');
+      GUILD_FAVORITES[match[1]] = JSON.parse(raw);
+      loadedCount++;
+    } catch (e) {
+      console.log(`[ERROR] Failed to load favorites for guild ${match[1]}: ${e.message}`);
+    }
+  }
+
+  return loadedCount;
+}
+
+/**
+ * Get the directory that stores a guild's archived database versions
+ * @param {string} guildId - Discord guild ID
+ * @returns {string} - Absolute path to the guild's history directory
+ */
+function getGuildHistoryDir(guildId) {
+  return path.join(HISTORY_DIR, guildId);
+}
+
+/**
+ * Get the file of an archived database version
+ * @param {string} guildId - Discord guild ID
+ * @param {string} versionId - Version ID from the history index
+ * @returns {string} - Absolute path to the version file
+ */
+function getGuildVersionPath(guildId, versionId) {
+  return path.join(getGuildHistoryDir(guildId), `${versionId}.json`);
+}
+
+/**
+ * Read the list of archived database versions for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Array} - Version entries, newest first
+ */
+async function readHistoryIndex(guildId) {
+  try {
+    const raw = await fs.promises.readFile(path.join(getGuildHistoryDir(guildId), 'index.json'), 'utf8');
+    return JSON.parse(raw);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return [];
+    }
+    throw e;
+  }
+}
+
+/**
+ * Archive a database as a new version in the guild's history
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} itemsData - Dictionary of item IDs to item records
+ * @param {Object} meta - Upload metadata of the database
+ * @param {string} itemsJson - The items already serialized, e.g. by the upload worker
+ * @returns {Object} - The new version entry
+ */
+async function archiveGuildVersion(guildId, itemsData, meta, itemsJson = JSON.stringify(itemsData)) {
+  const historyDir = getGuildHistoryDir(guildId);
+  const versions = await readHistoryIndex(guildId);
+  const version = {
+    id: Date.now().toString(),
+    uploadedAt: meta.uploadedAt || new Date().toISOString(),
+    uploadedBy: meta.uploadedBy || null,
+    itemCount: Object.keys(itemsData).length
+  };
+
+  await writeJsonText(path.join(historyDir, `${version.id}.json`), itemsJson);
+  versions.unshift(version);
+
+  // Drop the oldest versions, but never the one that is currently active
+  const activeVersionId = (GUILD_ITEMS_META[guildId] || {}).versionId;
+  while (versions.length > MAX_HISTORY_VERSIONS) {
+    let index = versions.length - 1;
+    if (versions[index].id === activeVersionId) {
+      index--;
+    }
+
+    const [removed] = versions.splice(index, 1);
+    try {
+      await fs.promises.unlink(path.join(historyDir, `${removed.id}.json`));
+    } catch (e) {
+      console.log(`[WARN] Failed to remove old version ${removed.id} for guild ${guildId}: ${e.message}`);
+    }
+  }
+
+  await writeJsonFile(path.join(historyDir, 'index.json'), versions);
+  return version;
+}
+
+/**
+ * Load the items of an archived database version
+ * @param {string} guildId - Discord guild ID
+ * @param {string} versionId - Version ID
+ * @returns {Object} - Dictionary of item IDs to item records
+ */
+async function loadGuildVersion(guildId, versionId) {
+  const raw = await fs.promises.readFile(getGuildVersionPath(guildId, versionId), 'utf8');
+  return JSON.parse(raw);
+}
+
+/**
+ * Get the size of an archived database version's file
+ * @param {string} guildId - Discord guild ID
+ * @param {string} versionId - Version ID from the history index
+ * @returns {number} - File size in bytes
+ */
+async function getGuildVersionSize(guildId, versionId) {
+  const stat = await fs.promises.stat(getGuildVersionPath(guildId, versionId));
+  return stat.size;
+}
+
+/**
+ * Format the type filter suffix shown after a search query
+ * @param {string} type - Filter type
+ * @param {string} locale - Locale code
+ * @returns {string} - Suffix, empty when no filter is applied
+ */
+function formatTypeSuffix(type, locale) {
+  return type !== 'all' ? t(locale, 'search.typeSuffix', { type: t(locale, `choice.type.${type}`) }) : '';
+}
+
+/**
+ * Add a list of items to an embed, split over several fields when it is longer
+ * than Discord's 1024 character field limit
+ * @param {EmbedBuilder} embed - Embed to add the fields to
+ * @param {Array} items - Array of [itemId, itemName] pairs
+ * @param {string} fieldName - Name of the first field
+ * @param {string} locale - Locale code
+ */
+function addItemListFields(embed, items, fieldName, locale) {
+  let fieldContent = '';
+
+  for (const [itemId, itemName] of items) {
+    fieldContent += `• \`${itemId}\` - ${itemName}\n`;
+  }
+
+  // Split content into multiple fields if it exceeds Discord's limit
+  if (fieldContent.length > 1024) {
+    const chunks = [];
+    let currentChunk = '';
+    const lines = fieldContent.split('\n');
+    
+    for (const line of lines) {
+      if ((currentChunk + line + '\n').length > 1024) {
+        chunks.push(currentChunk);
+        currentChunk = line + '\n';
+      } else {
+        currentChunk += line + '\n';
+      }
+    }
+    if (currentChunk) chunks.push(currentChunk);
+
+    // Add each chunk as a separate field
+    chunks.forEach((chunk, index) => {
+      embed.addFields([{
+        name: index === 0 ? fieldName : t(locale, 'search.continued'),
+        value: chunk
+      }]);
+    });
+  } else {
+    embed.addFields([{ 
+      name: fieldName, 
+      value: fieldContent || t(locale, 'search.noItemsToDisplay') 
+    }]);
+  }
+}
+
+/**
+ * Create paginated embed for search results
+ * @param {Array} matches - Array of matching items
+ * @param {number} page - Current page number
+ * @param {number} itemsPerPage - Items per page
+ * @param {string} query - Search query
+ * @param {string} type - Filter type
+ * @param {string} locale - Locale of the embed text
+ * @returns {Object} - Page info and embed
+ */
+function createPaginatedEmbed(matches, page, itemsPerPage, query, type, locale = DEFAULT_LOCALE) {
+  const totalItems = matches.length;
+  const totalPages = Math.ceil(totalItems / itemsPerPage);
+
+  // Ensure page is within bounds
+  page = Math.max(1, Math.min(page, totalPages));
+
+  const startIndex = (page - 1) * itemsPerPage;
+  const endIndex = Math.min(startIndex + itemsPerPage, totalItems);
+  const pageItems = matches.slice(startIndex, endIndex);
+
+  // Create embed
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'search.title', { query: query, typeSuffix: formatTypeSuffix(type, locale) }))
+    .setDescription(t(locale, 'search.description', { count: totalItems, page: page, totalPages: totalPages }))
+    .setColor(0x3498DB);
+
+  // Add fields for items
+  if (pageItems.length > 0) {
+    addItemListFields(embed, pageItems, t(locale, 'search.itemsField', { start: startIndex + 1, end: endIndex }), locale);
+  } else {
+    embed.addFields([{ 
+      name: t(locale, 'search.noItemsFound'), 
+      value: t(locale, 'search.tryDifferent') 
+    }]);
+  }
+
+  return {
+    currentPage: page,
+    totalPages: totalPages,
+    embed: embed
+  };
+}
+
+/**
+ * Format up to a number of diff entries as embed field content
+ * @param {Array} entries - Diff entries
+ * @param {Function} formatEntry - Formats a single entry as a line
+ * @param {string} locale - Locale code
+ * @param {number} maxLines - Maximum number of lines to show
+ * @returns {string} - Field content
+ */
+function formatDiffPreview(entries, formatEntry, locale, maxLines = 10) {
+  if (entries.length === 0) {
+    return t(locale, 'common.none');
+  }
+
+  let content = '';
+  let shown = 0;
+
+  for (const entry of entries.slice(0, maxLines)) {
+    const line = `${formatEntry(entry)}\n`;
+    if ((content + line).length > 950) {
+      break;
+    }
+    content += line;
+    shown++;
+  }
+
+  if (entries.length > shown) {
+    content += t(locale, 'diff.more', { count: entries.length - shown });
+  }
+
+  return content;
+}
+
+/**
+ * Create a summary embed for a database diff
+ * @param {Object} diff - Diff created by createItemsDiff
+ * @param {string} locale - Locale of the embed text
+ * @returns {EmbedBuilder} - Summary embed
+ */
+function createDiffEmbed(diff, locale = DEFAULT_LOCALE) {
+  return new EmbedBuilder()
+    .setTitle(t(locale, 'diff.title'))
+    .setDescription(t(locale, 'diff.description', {
+      oldCount: diff.oldCount,
+      newCount: diff.newCount,
+      createdAt: formatUploadedAt(diff.createdAt, locale)
+    }))
+    .setColor(0x3498DB)
+    .addFields(
+      { name: t(locale, 'diff.added', { count: diff.added.length }), value: formatDiffPreview(diff.added, ([id, name]) => `+ \`${id}\` - ${name}`, locale) },
+      { name: t(locale, 'diff.removed', { count: diff.removed.length }), value: formatDiffPreview(diff.removed, ([id, name]) => `- \`${id}\` - ${name}`, locale) },
+      { name: t(locale, 'diff.renamed', { count: diff.renamed.length }), value: formatDiffPreview(diff.renamed, ([id, oldName, newName]) => `~ \`${id}\` - ${oldName} → ${newName}`, locale) }
+    );
+}
+
+/**
+ * Create a text attachment with the full database diff
+ * @param {Object} diff - Diff created by createItemsDiff
+ * @returns {AttachmentBuilder} - Attachment with the full diff
+ */
+function createDiffAttachment(diff) {
+  const lines = [
+    `Items diff - ${diff.createdAt}`,
+    `Old: ${diff.oldCount} items, New: ${diff.newCount} items`,
+    '',
+    `[ADDED] (${diff.added.length})`,
+    ...diff.added.map(([id, name]) => `+ ${id} - ${name}`),
+    '',
+    `[REMOVED] (${diff.removed.length})`,
+    ...diff.removed.map(([id, name]) => `- ${id} - ${name}`),
+    '',
+    `[RENAMED] (${diff.renamed.length})`,
+    ...diff.renamed.map(([id, oldName, newName]) => `~ ${id} - ${oldName} -> ${newName}`)
+  ];
+
+  return new AttachmentBuilder(Buffer.from(lines.join('\n'), 'utf8'), { name: 'items-diff.txt' });
+}
+
+// Largest export Discord accepts as an attachment
+const MAX_EXPORT_SIZE = readEnvInt('MAX_EXPORT_SIZE', 10 * 1024 * 1024);
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCsvValue(value) {
+  let text = value === undefined || value === null ? '' : value.toString();
+
+  // Spreadsheets run text starting with these as a formula, numbers are left as they are
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert item records to CSV with one column per add_item field
+ * @param {Array} items - Array of item records
+ * @returns {string} - CSV content
+ */
+function itemsToCsv(items) {
+  const lines = [ITEM_FIELDS.map(field => field.key).join(',')];
+
+  for (const item of items) {
+    lines.push(ITEM_FIELDS.map(field => escapeCsvValue(item[field.key])).join(','));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert an item record back to an add_item line
+ * @param {Object} item - Item record
+ * @returns {string} - add_item line
+ */
+function itemToAddItemLine(item) {
+  const values = ITEM_FIELDS.map(field => {
+    const value = item[field.key];
+    return value === undefined || value === null ? '' : value.toString();
+  });
+
+  return ['add_item', ...values].join('\\');
+}
+
+/**
+ * Serialize item records in an export format
+ * @param {Array} items - Array of item records
+ * @param {string} format - 'csv', 'json' or 'txt'
+ * @returns {string} - Serialized content
+ */
+function serializeItems(items, format) {
+  if (format === 'csv') {
+    return itemsToCsv(items);
+  } else if (format === 'json') {
+    return JSON.stringify(items);
+  }
+  return items.map(itemToAddItemLine).join('\n');
+}
+
+/**
+ * Send item records as an attachment in a deferred reply
+ * @param {Object} interaction - Deferred Discord interaction
+ * @param {Array} items - Array of item records
+ * @param {string} format - 'csv', 'json' or 'txt'
+ * @param {string} fileName - File name without extension
+ * @param {string} message - Message sent with the attachment
+ */
+async function sendExport(interaction, items, format, fileName, message) {
+  const content = Buffer.from(serializeItems(items, format), 'utf8');
+
+  if (content.length > MAX_EXPORT_SIZE) {
+    await interaction.followUp({
+      content: t(getInteractionLocale(interaction), 'export.tooLarge', { size: (content.length / 1024 / 1024).toFixed(1) }),
+      flags: 64
+    });
+    return;
+  }
+
+  await interaction.followUp({
+    content: message,
+    files: [new AttachmentBuilder(content, { name: `${fileName}.${format}` })]
+  });
+}
+
+// Actions that can be granted to roles through /config, mapped to their locale keys
+const PERMISSION_ACTIONS = {
+  upload: 'permission.upload',
+  delete: 'permission.delete',
+  restore: 'permission.restore'
+};
+
+const PERMISSION_ACTION_CHOICES = Object.entries(PERMISSION_ACTIONS)
+  .map(([value, key]) => ({ ...localizeName(key), value: value }));
+
+// Permission required by each command, 'admin' means Administrator only
+const COMMAND_PERMISSIONS = {
+  additems: 'upload',
+  delitems: 'delete',
+  restoreitems: 'restore',
+  config: 'admin',
+  apitoken: 'admin'
+};
+
+// Context menu commands are routed by name, so the name stays fixed and only its label is translated
+const FIND_ITEMS_COMMAND = 'Find items in this message';
+
+// Commands that can be limited to certain channels through /config
+const SEARCH_COMMANDS = ['search', 'item', 'lookupitems', FIND_ITEMS_COMMAND, 'favorites', 'exportitems'];
+
+// custom_id prefixes of the buttons and select menus those commands send
+const SEARCH_COMPONENT_PREFIXES = ['search_', 'item_view_', 'item_favorite_'];
+
+// Item type filter choices of /search and saved searches
+const SEARCH_TYPE_CHOICES = [
+  { ...localizeName('choice.type.all'), value: 'all' },
+  ...ITEM_CATEGORIES.map(category => ({ ...localizeName(`choice.type.${category}`), value: category }))
+];
+
+// Register slash commands. Every command works on a guild's database, so none are offered in DMs
+const commands = [
+  {
+    name: 'search',
+    ...localizeDescription('cmd.search'),
+    dm_permission: false,
+    options: [
+      {
+        name: 'query',
+        ...localizeDescription('cmd.search.query'),
+        type: 3, // STRING
+        required: true,
+        autocomplete: true
+      },
+      {
+        name: 'type',
+        ...localizeDescription('cmd.search.type'),
+        type: 3, // STRING
+        required: false,
+        choices: SEARCH_TYPE_CHOICES
+      },
+      {
+        name: 'page',
+        ...localizeDescription('cmd.search.page'),
+        type: 4, // INTEGER
+        required: false
+      },
+      {
+        name: 'export',
+        ...localizeDescription('cmd.search.export'),
+        type: 3, // STRING
+        required: false,
+        choices: [
+          { name: 'CSV', value: 'csv' },
+          { name: 'JSON', value: 'json' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'item',
+    ...localizeDescription('cmd.item'),
+    dm_permission: false,
+    options: [
+      {
+        name: 'item_id',
+        ...localizeDescription('cmd.item.item_id'),
+        type: 3, // STRING
+        required: true,
+        autocomplete: true
+      }
+    ]
+  },
+  {
+    name: 'lookupitems',
+    ...localizeDescription('cmd.lookupitems'),
+    dm_permission: false,
+    options: [
+      {
+        name: 'items',
+        ...localizeDescription('cmd.lookupitems.items'),
+        type: 3, // STRING
+        required: false
+      },
+      {
+        name: 'file',
+        ...localizeDescription('cmd.lookupitems.file'),
+        type: 11, // ATTACHMENT
+        required: false
+      }
+    ]
+  },
+  {
+    name: FIND_ITEMS_COMMAND,
+    name_localizations: getLocalizations('cmd.finditems'),
+    dm_permission: false,
+    type: 3 // MESSAGE
+  },
+  {
+    name: 'favorites',
+    ...localizeDescription('cmd.favorites'),
+    dm_permission: false,
+    options: [
+      {
+        name: 'list',
+        ...localizeDescription('cmd.favorites.list'),
+        type: 1 // SUB_COMMAND
+      },
+      {
+        name: 'add',
+        ...localizeDescription('cmd.favorites.add'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'item',
+            ...localizeDescription('cmd.favorites.add.item'),
+            type: 3, // STRING
+            required: true,
+            autocomplete: true
+          }
+        ]
+      },
+      {
+        name: 'remove',
+        ...localizeDescription('cmd.favorites.remove'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'item',
+            ...localizeDescription('cmd.favorites.remove.item'),
+            type: 3, // STRING
+            required: true,
+            autocomplete: true
+          }
+        ]
+      },
+      {
+        name: 'save',
+        ...localizeDescription('cmd.favorites.save'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'name',
+            ...localizeDescription('cmd.favorites.save.name'),
+            type: 3, // STRING
+            required: true,
+            max_length: MAX_SAVED_SEARCH_NAME
+          },
+          {
+            name: 'query',
+            ...localizeDescription('cmd.favorites.save.query'),
+            type: 3, // STRING
+            required: true
+          },
+          {
+            name: 'type',
+            ...localizeDescription('cmd.search.type'),
+            type: 3, // STRING
+            required: false,
+            choices: SEARCH_TYPE_CHOICES
+          }
+        ]
+      },
+      {
+        name: 'run',
+        ...localizeDescription('cmd.favorites.run'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'name',
+            ...localizeDescription('cmd.favorites.searchName'),
+            type: 3, // STRING
+            required: true,
+            autocomplete: true
+          }
+        ]
+      },
+      {
+        name: 'unsave',
+        ...localizeDescription('cmd.favorites.unsave'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'name',
+            ...localizeDescription('cmd.favorites.searchName'),
+            type: 3, // STRING
+            required: true,
+            autocomplete: true
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'additems',
+    ...localizeDescription('cmd.additems'),
+    dm_permission: false,
+    options: [
+      {
+        name: 'file',
+        ...localizeDescription('cmd.additems.file'),
+        type: 11, // ATTACHMENT
+        required: true
+      },
+      {
+        name: 'strict',
+        ...localizeDescription('cmd.additems.strict'),
+        type: 5, // BOOLEAN
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'delitems',
+    ...localizeDescription('cmd.delitems'),
+    dm_permission: false
+  },
+  {
+    name: 'itemsinfo',
+    ...localizeDescription('cmd.itemsinfo'),
+    dm_permission: false
+  },
+  {
+    name: 'diffitems',
+    ...localizeDescription('cmd.diffitems'),
+    dm_permission: false
+  },
+  {
+    name: 'exportitems',
+    ...localizeDescription('cmd.exportitems'),
+    dm_permission: false,
+    options: [
+      {
+        name: 'format',
+        ...localizeDescription('cmd.exportitems.format'),
+        type: 3, // STRING
+        required: true,
+        choices: [
+          { name: 'CSV', value: 'csv' },
+          { name: 'JSON', value: 'json' },
+          { ...localizeName('choice.export.txt'), value: 'txt' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'config',
+    ...localizeDescription('cmd.config'),
+    dm_permission: false,
+    default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+    options: [
+      {
+        name: 'show',
+        ...localizeDescription('cmd.config.show'),
+        type: 1 // SUB_COMMAND
+      },
+      {
+        name: 'addrole',
+        ...localizeDescription('cmd.config.addrole'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'action',
+            ...localizeDescription('cmd.config.addrole.action'),
+            type: 3, // STRING
+            required: true,
+            choices: PERMISSION_ACTION_CHOICES
+          },
+          {
+            name: 'role',
+            ...localizeDescription('cmd.config.addrole.role'),
+            type: 8, // ROLE
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'removerole',
+        ...localizeDescription('cmd.config.removerole'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'action',
+            ...localizeDescription('cmd.config.removerole.action'),
+            type: 3, // STRING
+            required: true,
+            choices: PERMISSION_ACTION_CHOICES
+          },
+          {
+            name: 'role',
+            ...localizeDescription('cmd.config.removerole.role'),
+            type: 8, // ROLE
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'addchannel',
+        ...localizeDescription('cmd.config.addchannel'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'channel',
+            ...localizeDescription('cmd.config.addchannel.channel'),
+            type: 7, // CHANNEL
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'removechannel',
+        ...localizeDescription('cmd.config.removechannel'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'channel',
+            ...localizeDescription('cmd.config.removechannel.channel'),
+            type: 7, // CHANNEL
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'language',
+        ...localizeDescription('cmd.config.language'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'language',
+            ...localizeDescription('cmd.config.language.language'),
+            type: 3, // STRING
+            required: true,
+            choices: [
+              { ...localizeName('choice.language.auto'), value: 'auto' },
+              { ...localizeName('choice.language.id'), value: 'id' },
+              { ...localizeName('choice.language.en'), value: 'en' }
+            ]
+          }
+        ]
+      },
+      {
+        name: 'sharing',
+        ...localizeDescription('cmd.config.sharing'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'enabled',
+            ...localizeDescription('cmd.config.sharing.enabled'),
+            type: 5, // BOOLEAN
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'subscribe',
+        ...localizeDescription('cmd.config.subscribe'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'guild_id',
+            ...localizeDescription('cmd.config.subscribe.guild_id'),
+            type: 3, // STRING
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'unsubscribe',
+        ...localizeDescription('cmd.config.unsubscribe'),
+        type: 1 // SUB_COMMAND
+      },
+      {
+        name: 'reset',
+        ...localizeDescription('cmd.config.reset'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'api_tokens',
+            ...localizeDescription('cmd.config.reset.api_tokens'),
+            type: 5, // BOOLEAN
+            required: false
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'apitoken',
+    ...localizeDescription('cmd.apitoken'),
+    dm_permission: false,
+    default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+    options: [
+      {
+        name: 'create',
+        ...localizeDescription('cmd.apitoken.create'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'name',
+            ...localizeDescription('cmd.apitoken.create.name'),
+            type: 3, // STRING
+            required: true,
+            max_length: 50
+          }
+        ]
+      },
+      {
+        name: 'list',
+        ...localizeDescription('cmd.apitoken.list'),
+        type: 1 // SUB_COMMAND
+      },
+      {
+        name: 'revoke',
+        ...localizeDescription('cmd.apitoken.revoke'),
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'token_id',
+            ...localizeDescription('cmd.apitoken.revoke.token_id'),
+            type: 3, // STRING
+            required: true
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'itemshistory',
+    ...localizeDescription('cmd.itemshistory'),
+    dm_permission: false
+  },
+  {
+    name: 'restoreitems',
+    ...localizeDescription('cmd.restoreitems'),
+    dm_permission: false,
+    options: [
+      {
+        name: 'version',
+        ...localizeDescription('cmd.restoreitems.version'),
+        type: 4, // INTEGER
+        required: true,
+        min_value: 1
+      }
+    ]
+  }
+];
+
+// On ready event handler
+client.on('ready', async () => {
+  console.log(`\n[STARTUP] Logged in as ${client.user.tag} (ID: ${client.user.id})`);
+  console.log('------');
+
+  // Restore stored guild databases before serving any command
+  try {
+    const loadedCount = await loadAllGuildItems();
+    console.log(`\n[STORAGE] Loaded ${loadedCount} guild database(s) from ${GUILD_DATA_DIR}`);
+  } catch (e) {
+    console.log(`[ERROR] Failed to load stored guild databases: ${e.message}`);
+  }
+
+  try {
+    const configCount = await loadAllGuildConfigs();
+    console.log(`[STORAGE] Loaded ${configCount} guild config(s) from ${CONFIG_DIR}`);
+  } catch (e) {
+    console.log(`[ERROR] Failed to load stored guild configs: ${e.message}`);
+  }
+
+  try {
+    const favoritesCount = await loadAllGuildFavorites();
+    console.log(`[STORAGE] Loaded favorites for ${favoritesCount} guild(s) from ${FAVORITES_DIR}`);
+  } catch (e) {
+    console.log(`[ERROR] Failed to load stored favorites: ${e.message}`);
+  }
+
+  if (DEFAULT_DATABASE_DIR) {
+    try {
+      const itemCount = await loadDefaultDatabase();
+      console.log(`[STORAGE] Loaded default database from ${DEFAULT_DATABASE_DIR} (${itemCount} items)`);
+    } catch (e) {
+      console.log(`[ERROR] Failed to load default database: ${e.message}`);
+    }
+
+    watchDefaultDatabase();
+  }
+
+  // Register slash commands
+  try {
+    const rest = new REST({ version: '9' }).setToken(process.env.TOKEN);
+
+    await rest.put(
+      Routes.applicationCommands(client.user.id),
+      { body: commands }
+    );
+
+    BOT_HEALTH.commandsRegisteredAt = new Date().toISOString();
+    BOT_HEALTH.commandRegistrationError = null;
+    console.log("\n[COMMANDS] Slash commands registered successfully");
+  } catch (e) {
+    BOT_HEALTH.commandRegistrationError = e.message;
+    console.log(`[ERROR] Failed to register commands: ${e.message}`);
+  }
+
+  console.log('------\nBot is ready!');
+});
+
+// Interaction rate limits, as requests per window for each user and for each guild.
+// Uploads download and parse up to MAX_UPLOAD_SIZE bytes each, so they get stricter limits.
+// Autocomplete fires on every keystroke, so its limits are looser.
+const RATE_LIMITS = {
+  command: {
+    window: readEnvInt('COMMAND_RATE_WINDOW', 60, 1) * 1000,
+    user: readEnvInt('COMMAND_RATE_LIMIT_USER', 20),
+    guild: readEnvInt('COMMAND_RATE_LIMIT_GUILD', 120)
+  },
+  upload: {
+    window: readEnvInt('UPLOAD_RATE_WINDOW', 600, 1) * 1000,
+    user: readEnvInt('UPLOAD_RATE_LIMIT_USER', 2),
+    guild: readEnvInt('UPLOAD_RATE_LIMIT_GUILD', 5)
+  },
+  autocomplete: {
+    window: readEnvInt('AUTOCOMPLETE_RATE_WINDOW', 60, 1) * 1000,
+    user: readEnvInt('AUTOCOMPLETE_RATE_LIMIT_USER', 120),
+    guild: readEnvInt('AUTOCOMPLETE_RATE_LIMIT_GUILD', 600)
+  }
+};
+
+// Commands limited by a rate limit other than 'command'
+const COMMAND_RATE_CATEGORIES = {
+  additems: 'upload'
+};
+
+const RATE_LIMITER = createRateLimiter(RATE_LIMITS);
+
+// Rejected interactions per rate limit category, reported by /metrics
+const RATE_LIMITED_COUNTS = {};
+
+// New databases are refused once the JavaScript heap, with the database added, would use
+// this share of the memory budget. Without MEMORY_BUDGET_MB the budget is V8's heap limit.
+const MEMORY_BUDGET = readEnvInt('MEMORY_BUDGET_MB', 0, 1) * 1024 * 1024 || v8.getHeapStatistics().heap_size_limit;
+const MEMORY_BUDGET_THRESHOLD = 0.85;
+
+// Rough heap bytes per file byte once a database is parsed and indexed. Text files spell
+// out every field, but their records still take far more memory than the text itself.
+const DATABASE_HEAP_FACTORS = {
+  txt: 18,
+  dat: 4,
+  json: 1.5
+};
+
+/**
+ * Take one request from the user's and the guild's bucket of a rate limit
+ * @param {Object} interaction - Discord interaction
+ * @param {string} category - Key of RATE_LIMITS
+ * @returns {number} - 0 if the request is allowed, otherwise milliseconds to wait
+ */
+function consumeRateLimit(interaction, category) {
+  return RATE_LIMITER.consume(category, { user: interaction.user.id, guild: interaction.guildId });
+}
+
+/**
+ * Give back the request an interaction took from a rate limit, for requests refused
+ * before they did any of the work the limit protects
+ * @param {Object} interaction - Discord interaction
+ * @param {string} category - Key of RATE_LIMITS
+ */
+function refundRateLimit(interaction, category) {
+  RATE_LIMITER.refund(category, { user: interaction.user.id, guild: interaction.guildId });
+}
+
+/**
+ * Check an interaction against a rate limit, telling the user how long to wait when it is exceeded
+ * @param {Object} interaction - Discord command or component interaction
+ * @param {string} category - Key of RATE_LIMITS
+ * @returns {boolean} - True if the interaction may run
+ */
+async function ensureRateLimit(interaction, category) {
+  const waitMs = consumeRateLimit(interaction, category);
+  if (waitMs === 0) {
+    return true;
+  }
+
+  RATE_LIMITED_COUNTS[category] = (RATE_LIMITED_COUNTS[category] || 0) + 1;
+
+  await interaction.reply({
+    content: t(getInteractionLocale(interaction), category === 'upload' ? 'common.uploadRateLimited' : 'common.rateLimited', {
+      seconds: Math.ceil(waitMs / 1000)
+    }),
+    flags: 64
+  });
+  return false;
+}
+
+/**
+ * Estimate the heap a database takes once it is loaded from a file
+ * @param {number} size - File size in bytes
+ * @param {string} format - 'txt', 'dat' or 'json' for stored databases
+ * @returns {number} - Estimated heap bytes
+ */
+function estimateDatabaseHeap(size, format) {
+  return size * DATABASE_HEAP_FACTORS[format];
+}
+
+/**
+ * Check whether the process is too close to its memory budget to hold another database
+ * @param {number} incomingBytes - Estimated heap of the database about to be loaded
+ * @returns {boolean} - True if the database should be refused
+ */
+function isMemoryBudgetExceeded(incomingBytes = 0) {
+  return process.memoryUsage().heapUsed + incomingBytes > MEMORY_BUDGET * MEMORY_BUDGET_THRESHOLD;
+}
+
+// Slash command interaction handler
+client.on('interactionCreate', async interaction => {
+  if (interaction.isAutocomplete()) {
+    await handleAutocomplete(interaction);
+    return;
+  }
+
+  if (!interaction.isCommand()) return;
+
+  const { commandName } = interaction;
+  const startedAt = process.hrtime.bigint();
+  let dispatched = false;
+  let failed = false;
+
+  try {
+    if (!(await ensureCommandAccess(interaction))) return;
+    if (!(await ensureRateLimit(interaction, COMMAND_RATE_CATEGORIES[commandName] || 'command'))) return;
+
+    dispatched = true;
+    await dispatchCommand(interaction);
+  } catch (e) {
+    failed = true;
+    console.log(`[ERROR] /${commandName} failed: ${e.stack || e.message}`);
+    await replyCommandFailure(interaction);
+  } finally {
+    // Denied and rate limited commands never ran, so only failures of the checks count
+    if (dispatched || failed) {
+      const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      recordCommandMetrics(commandName, durationSeconds, failed);
+    }
+  }
+});
+
+/**
+ * Route a slash command to its handler
+ * @param {Object} interaction - Discord interaction object
+ */
+async function dispatchCommand(interaction) {
+  switch (interaction.commandName) {
+    case 'search':
+      await handleSearchCommand(interaction);
+      break;
+
+    case 'item':
+      await handleItemCommand(interaction);
+      break;
+
+    case 'lookupitems':
+      await handleLookupItemsCommand(interaction);
+      break;
+    case FIND_ITEMS_COMMAND:
+      await handleFindItemsCommand(interaction);
+      break;
+    case 'favorites':
+      await handleFavoritesCommand(interaction);
+      break;
+
+    case 'additems':
+      await handleAddItemsCommand(interaction);
+      break;
+
+    case 'delitems':
+      await handleDelItemsCommand(interaction);
+      break;
+
+    case 'itemsinfo':
+      await handleItemsInfoCommand(interaction);
+      break;
+
+    case 'diffitems':
+      await handleDiffItemsCommand(interaction);
+      break;
+
+    case 'exportitems':
+      await handleExportItemsCommand(interaction);
+      break;
+
+    case 'config':
+      await handleConfigCommand(interaction);
+      break;
+
+    case 'apitoken':
+      await handleApiTokenCommand(interaction);
+      break;
+
+    case 'itemshistory':
+      await handleItemsHistoryCommand(interaction);
+      break;
+
+    case 'restoreitems':
+      await handleRestoreItemsCommand(interaction);
+      break;
+  }
+}
+
+/**
+ * Tell the user a command failed, whether or not it already replied
+ * @param {Object} interaction - Discord interaction object
+ */
+async function replyCommandFailure(interaction) {
+  const message = { content: t(getInteractionLocale(interaction), 'common.commandFailed'), flags: 64 };
+
+  try {
+    if (interaction.deferred || interaction.replied) {
+      await interaction.followUp(message);
+    } else {
+      await interaction.reply(message);
+    }
+  } catch (e) {
+    console.log(`[ERROR] Could not report command failure: ${e.message}`);
+  }
+}
+
+// Discord accepts at most 25 autocomplete choices
+const AUTOCOMPLETE_LIMIT = 25;
+
+/**
+ * Build autocomplete choices for a partially typed item name or ID
+ * @param {string} guildId - Discord guild ID
+ * @param {string} input - Text typed so far
+ * @param {boolean} useIdValue - Use the item ID as the choice value instead of the name
+ * @returns {Array} - Array of autocomplete choices
+ */
+function getItemAutocompleteChoices(guildId, input, useIdValue) {
+  const items = GUILD_ITEMS_DATA[guildId];
+  input = input.trim();
+
+  if (!items || !input) {
+    return [];
+  }
+
+  const matches = [];
+
+  // An exact ID goes first when the input is numeric
+  if (/^\d+$/.test(input) && items[input]) {
+    matches.push([parseInt(input), items[input].name]);
+  }
+
+  for (const match of findItemsByQuery(guildId, input, 'all', AUTOCOMPLETE_LIMIT)) {
+    if (matches.length >= AUTOCOMPLETE_LIMIT) {
+      break;
+    }
+    if (!matches.some(([itemId]) => itemId === match[0])) {
+      matches.push(match);
+    }
+  }
+
+  return matches.map(([itemId, itemName]) => ({
+    name: `${itemName} (${itemId})`.substring(0, 100),
+    value: useIdValue ? itemId.toString() : itemName.substring(0, 100)
+  }));
+}
+
+/**
+ * Handle autocomplete interactions for item names, IDs and saved searches
+ * @param {Object} interaction - Discord autocomplete interaction
+ */
+async function handleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const sourceId = getItemsSourceId(interaction.guildId);
+  let choices = [];
+
+  // Outside the search channels the command is refused, so it gets no suggestions either
+  if (!isSearchChannelAllowed(interaction)) {
+    choices = [];
+  } else if (consumeRateLimit(interaction, 'autocomplete') > 0) {
+    // Autocomplete cannot show a message, so suggestions just stop until the window resets
+    RATE_LIMITED_COUNTS.autocomplete = (RATE_LIMITED_COUNTS.autocomplete || 0) + 1;
+    choices = [];
+  } else if (interaction.commandName === 'search' && focused.name === 'query') {
+    choices = getItemAutocompleteChoices(sourceId, focused.value, false);
+  } else if (interaction.commandName === 'item' && focused.name === 'item_id') {
+    choices = getItemAutocompleteChoices(sourceId, focused.value, true);
+  } else if (interaction.commandName === 'favorites' && focused.name === 'item') {
+    choices = interaction.options.getSubcommand() === 'remove'
+      ? getFavoriteItemChoices(interaction.guildId, interaction.user.id, focused.value)
+      : getItemAutocompleteChoices(sourceId, focused.value, true);
+  } else if (interaction.commandName === 'favorites' && focused.name === 'name') {
+    choices = getSavedSearchChoices(interaction.guildId, interaction.user.id, focused.value);
+  }
+
+  try {
+    await interaction.respond(choices);
+  } catch (e) {
+    console.log(`[ERROR] Failed to respond to autocomplete: ${e.message}`);
+  }
+}
+
+// Search pagination sessions, keyed by a short ID stored in each component's custom_id
+const SEARCH_SESSIONS = new Map();
+const SEARCH_SESSION_TTL = 5 * 60 * 1000;
+const SEARCH_ITEMS_PER_PAGE = 50;
+
+// Discord select menus accept at most 25 options
+const MAX_SELECT_OPTIONS = 25;
+
+/**
+ * Create a pagination session for a search result
+ * @param {Object} interaction - Discord interaction that ran the search
+ * @param {string} query - Search query
+ * @param {string} type - Filter type
+ * @param {Array} matches - Array of matching items
+ * @param {number} page - Initial page number
+ * @returns {Object} - Pagination session
+ */
+function createSearchSession(interaction, query, type, matches, page) {
+  const totalPages = Math.max(1, Math.ceil(matches.length / SEARCH_ITEMS_PER_PAGE));
+
+  let id;
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (SEARCH_SESSIONS.has(id));
+
+  const session = {
+    id: id,
+    guildId: interaction.guildId,
+    userId: interaction.user.id,
+    locale: getInteractionLocale(interaction),
+    query: query,
+    type: type,
+    matches: matches,
+    page: Math.max(1, Math.min(page, totalPages)),
+    totalPages: totalPages,
+    message: null,
+    timer: null
+  };
+
+  SEARCH_SESSIONS.set(id, session);
+  touchSearchSession(session);
+  return session;
+}
+
+/**
+ * Restart a session's inactivity timer
+ * @param {Object} session - Pagination session
+ */
+function touchSearchSession(session) {
+  clearTimeout(session.timer);
+  session.timer = setTimeout(() => expireSearchSession(session.id), SEARCH_SESSION_TTL);
+  session.timer.unref();
+}
+
+/**
+ * Expire a session and disable the components on its message
+ * @param {string} sessionId - Session ID
+ */
+async function expireSearchSession(sessionId) {
+  const session = SEARCH_SESSIONS.get(sessionId);
+  if (!session) {
+    return;
+  }
+
+  SEARCH_SESSIONS.delete(sessionId);
+  clearTimeout(session.timer);
+
+  if (session.message) {
+    try {
+      await session.message.edit({ components: buildSearchComponents(session, true) });
+    } catch (e) {
+      console.log(`[WARN] Failed to disable expired search buttons: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Build the pagination buttons, jump-to-page menu and favorite button for a session
+ * @param {Object} session - Pagination session
+ * @param {boolean} disabled - Disable every component, used once the session expires
+ * @returns {Array} - Array of action rows
+ */
+function buildSearchComponents(session, disabled = false) {
+  const { id, page, totalPages, locale } = session;
+
+  const buttonRow = {
+    type: 1, // ACTION_ROW
+    components: [
+      {
+        type: 2, // BUTTON
+        style: 2, // SECONDARY
+        custom_id: `search_first_${id}`,
+        label: '<<',
+        disabled: disabled || page === 1
+      },
+      {
+        type: 2, // BUTTON
+        style: 2, // SECONDARY
+        custom_id: `search_prev_${id}`,
+        label: '<',
+        disabled: disabled || page === 1
+      },
+      {
+        // Page indicator (not a button)
+        type: 2, // BUTTON
+        style: 2, // SECONDARY
+        custom_id: `search_indicator_${id}`,
+        label: `${page}/${totalPages}`,
+        disabled: true
+      },
+      {
+        type: 2, // BUTTON
+        style: 2, // SECONDARY
+        custom_id: `search_next_${id}`,
+        label: '>',
+        disabled: disabled || page === totalPages
+      },
+      {
+        type: 2, // BUTTON
+        style: 2, // SECONDARY
+        custom_id: `search_last_${id}`,
+        label: '>>',
+        disabled: disabled || page === totalPages
+      }
+    ]
+  };
+
+  // Show a window of pages around the current one when there are too many to list
+  const windowStart = Math.max(1, Math.min(page - Math.floor(MAX_SELECT_OPTIONS / 2), totalPages - MAX_SELECT_OPTIONS + 1));
+  const windowEnd = Math.min(totalPages, windowStart + MAX_SELECT_OPTIONS - 1);
+  const options = [];
+
+  for (let option = windowStart; option <= windowEnd; option++) {
+    options.push({
+      label: t(locale, 'search.pageOption', { page: option }),
+      value: option.toString(),
+      default: option === page
+    });
+  }
+
+  const selectRow = {
+    type: 1, // ACTION_ROW
+    components: [
+      {
+        type: 3, // STRING_SELECT
+        custom_id: `search_jump_${id}`,
+        placeholder: t(locale, 'search.jumpPlaceholder'),
+        options: options,
+        disabled: disabled
+      }
+    ]
+  };
+
+  const favoriteRow = {
+    type: 1, // ACTION_ROW
+    components: [
+      {
+        type: 2, // BUTTON
+        style: 2, // SECONDARY
+        custom_id: `search_favorite_${id}`,
+        label: t(locale, 'favorites.button'),
+        disabled: disabled
+      }
+    ]
+  };
+
+  // There is nothing to page through on a single page
+  return totalPages > 1 ? [buttonRow, selectRow, favoriteRow] : [favoriteRow];
+}
+
+/**
+ * Render the current page of a session
+ * @param {Object} session - Pagination session
+ * @returns {Object} - Message payload with embeds and components
+ */
+function renderSearchSession(session) {
+  const { embed, currentPage } = createPaginatedEmbed(
+    session.matches, session.page, SEARCH_ITEMS_PER_PAGE, session.query, session.type, session.locale
+  );
+  session.page = currentPage;
+
+  return {
+    embeds: [embed],
+    components: buildSearchComponents(session)
+  };
+}
+
+/**
+ * Disable every component on a message whose session no longer exists
+ * @param {Object} message - Discord message
+ * @returns {Array} - Array of disabled action rows
+ */
+function disableMessageComponents(message) {
+  return message.components.map(row => ({
+    type: 1, // ACTION_ROW
+    components: row.components.map(component => ({ ...component.toJSON(), disabled: true }))
+  }));
+}
+
+/**
+ * Handle the search command
+ * @param {Object} interaction - Discord interaction
+ */
+async function handleSearchCommand(interaction) {
+  const sourceId = getItemsSourceId(interaction.guildId);
+  const locale = getInteractionLocale(interaction);
+
+  if (!GUILD_ITEMS_DATA[sourceId] || Object.keys(GUILD_ITEMS_DATA[sourceId]).length === 0) {
+    await interaction.reply({
+      content: t(locale, 'common.noDatabase'),
+      flags: 64
+    });
+    return;
+  }
+
+  const query = interaction.options.getString('query')?.trim();
+  const type = interaction.options.getString('type') || 'all';
+  const page = interaction.options.getInteger('page') || 1;
+
+  if (!query) {
+    await interaction.reply({
+      content: t(locale, 'search.emptyQuery'),
+      flags: 64
+    });
+    return;
+  }
+
+  const parsed = parseSearchQuery(query, locale);
+  if (!parsed.valid) {
+    await interaction.reply({
+      content: `${parsed.reason}\n\`\`\`\n${parsed.pointer}\n\`\`\`\n${t(locale, 'search.query.help')}`,
+      flags: 64
+    });
+    return;
+  }
+
+  await interaction.deferReply();
+  await sendSearchResults(interaction, sourceId, query, type, page, interaction.options.getString('export'), locale);
+}
+
+/**
+ * Run a valid search and send its results, shared by /search and saved searches
+ * @param {Object} interaction - Deferred Discord interaction
+ * @param {string} sourceId - ID of the database to search
+ * @param {string} query - Search query
+ * @param {string} type - Item category, or 'all'
+ * @param {number} page - Initial page number
+ * @param {string|null} exportFormat - 'csv' or 'json' to attach every match instead
+ * @param {string} locale - Locale code
+ */
+async function sendSearchResults(interaction, sourceId, query, type, page, exportFormat, locale) {
+  // Exports attach every match, so they skip the result limit
+  const matches = findItemsByQuery(sourceId, query, type, exportFormat ? Infinity : 500);
+
+  if (matches.length === 0) {
+    let message = t(locale, 'search.noResults', { query: query, typeSuffix: formatTypeSuffix(type, locale) });
+
+    // Suggestions only make sense for plain text, not for filters
+    const parsed = parseSearchQuery(query);
+    const suggestions = parsed.advanced ? [] : suggestItemNames(sourceId, parsed.text || query, type);
+    if (suggestions.length > 0) {
+      message += `\n${t(locale, 'search.didYouMean', { suggestions: suggestions.map(name => `**${name}**`).join(', ') })}`;
+    }
+
+    await interaction.followUp(message);
+    return;
+  }
+
+  if (exportFormat) {
+    const items = matches.map(([itemId]) => GUILD_ITEMS_DATA[sourceId][itemId]);
+    const fileName = `search-${query.replace(/[^a-z0-9]+/gi, '-').substring(0, 40)}`;
+    await sendExport(interaction, items, exportFormat, fileName,
+      t(locale, 'search.exported', { count: items.length, query: query, typeSuffix: formatTypeSuffix(type, locale) }));
+    return;
+  }
+
+  // Check if we have too many results
+  if (matches.length >= 500) {
+    await interaction.followUp({
+      content: t(locale, 'search.tooMany', { query: query }),
+      flags: 64
+    });
+    return;
+  }
+
+  // Single-page results still get a session for their favorite button
+  const session = createSearchSession(interaction, query, type, matches, page);
+  session.message = await interaction.followUp(renderSearchSession(session));
+}
+
+/**
+ * Handle the item command
+ * @param {Object} interaction - Discord interaction
+ */
+async function handleItemCommand(interaction) {
+  const sourceId = getItemsSourceId(interaction.guildId);
+  const locale = getInteractionLocale(interaction);
+
+  if (!GUILD_ITEMS_DATA[sourceId] || Object.keys(GUILD_ITEMS_DATA[sourceId]).length === 0) {
+    await interaction.reply({
+      content: t(locale, 'common.noDatabase'),
+      flags: 64
+    });
+    return;
+  }
+
+  const input = interaction.options.getString('item_id');
+  const itemId = resolveItemId(sourceId, input);
+
+  if (itemId !== null && GUILD_ITEMS_DATA[sourceId][itemId]) {
+    await interaction.reply(buildItemView(sourceId, itemId, locale, interaction.user.id));
+  } else {
+    await interaction.reply({
+      content: formatItemNotFound(sourceId, input, locale),
+      flags: 64
+    });
+  }
+}
+
+/**
+ * Explain that an item ID or name did not match exactly, with close names to try instead
+ * @param {string} sourceId - Database ID
+ * @param {string} input - Item ID or name as typed
+ * @param {string} locale - Locale code
+ * @returns {string} - Reply text
+ */
+function formatItemNotFound(sourceId, input, locale) {
+  let message = t(locale, 'item.notFound', { input: input });
+
+  const suggestions = /^\d+$/.test(input.trim()) ? [] : suggestItemNames(sourceId, input);
+  if (suggestions.length > 0) {
+    message += `\n${t(locale, 'search.didYouMean', { suggestions: suggestions.map(name => `**${name}**`).join(', ') })}`;
+  }
+
+  return message;
+}
+
+// Most splice results listed on an item before the rest are summarized
+const MAX_SPLICE_RESULTS = 10;
+
+// Discord rejects button labels longer than this
+const MAX_BUTTON_LABEL = 80;
+
+/**
+ * Get the seed of a block, or the block of a seed.
+ * Every block's seed sits at the next item ID.
+ * @param {string} guildId - Discord guild ID
+ * @param {number} itemId - Item ID
+ * @returns {number|null} - ID of the counterpart, or null if it has none
+ */
+function getItemCounterpartId(guildId, itemId) {
+  const items = GUILD_ITEMS_DATA[guildId];
+  const item = items[itemId];
+
+  if (getItemCategory(item) === 'seed') {
+    const block = items[itemId - 1];
+    return block && getItemCategory(block) !== 'seed' ? itemId - 1 : null;
+  }
+
+  const seed = items[itemId + 1];
+  return seed && getItemCategory(seed) === 'seed' ? itemId + 1 : null;
+}
+
+/**
+ * Get the splice ingredients of an item, stored on either the item or its counterpart
+ * @param {string} guildId - Discord guild ID
+ * @param {number} itemId - Item ID
+ * @returns {Array|null} - The two ingredient IDs, or null if the data has no recipe
+ */
+function getSpliceRecipe(guildId, itemId) {
+  const items = GUILD_ITEMS_DATA[guildId];
+  const counterpartId = getItemCounterpartId(guildId, itemId);
+
+  if (items[itemId].spliceIngredients) {
+    return items[itemId].spliceIngredients;
+  } else if (counterpartId !== null && items[counterpartId].spliceIngredients) {
+    return items[counterpartId].spliceIngredients;
+  }
+  return null;
+}
+
+/**
+ * Find the items whose splice recipe uses an item or its counterpart
+ * @param {string} guildId - Discord guild ID
+ * @param {number} itemId - Item ID
+ * @returns {Array} - IDs of the resulting items, lowest first
+ */
+function findSpliceResults(guildId, itemId) {
+  const ingredientIds = [itemId, getItemCounterpartId(guildId, itemId)].filter(id => id !== null);
+  const results = [];
+
+  for (const item of Object.values(GUILD_ITEMS_DATA[guildId])) {
+    if (item.spliceIngredients && item.spliceIngredients.some(id => ingredientIds.includes(id))) {
+      results.push(item.id);
+    }
+  }
+
+  return results.sort((a, b) => a - b);
+}
+
+/**
+ * Format an item reference as its name and ID
+ * @param {string} guildId - Discord guild ID
+ * @param {number} itemId - Item ID
+ * @param {string} locale - Locale code
+ * @returns {string} - Formatted reference
+ */
+function formatItemReference(guildId, itemId, locale) {
+  const item = GUILD_ITEMS_DATA[guildId][itemId];
+  return `\`${itemId}\`: ${item ? item.name : t(locale, 'common.unknown')}`;
+}
+
+/**
+ * Build the /item reply for an item, with its seed or block counterpart
+ * @param {string} guildId - Discord guild ID
+ * @param {number} itemId - Item ID
+ * @param {string} locale - Locale code
+ * @param {string} userId - User who may switch the reply to the counterpart
+ * @returns {Object} - Message payload with the embed, counterpart and favorite buttons
+ */
+function buildItemView(guildId, itemId, locale, userId) {
+  const items = GUILD_ITEMS_DATA[guildId];
+  const item = items[itemId];
+  const category = getItemCategory(item);
+  const counterpartId = getItemCounterpartId(guildId, itemId);
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'item.title', { id: itemId }))
+    .setDescription(item.name)
+    .setColor(0x3498DB)
+    .addFields(
+      { name: t(locale, 'item.id'), value: itemId.toString(), inline: true },
+      { name: t(locale, 'item.name'), value: item.name, inline: true },
+      { name: t(locale, 'item.type'), value: t(locale, `choice.type.${category}`), inline: true }
+    );
+
+  if (counterpartId !== null) {
+    embed.addFields({
+      name: t(locale, category === 'seed' ? 'item.block' : 'item.seed'),
+      value: formatItemReference(guildId, counterpartId, locale),
+      inline: true
+    });
+  }
+
+  // Seed colors live on the seed, so blocks show the colors of their seed
+  const seed = category === 'seed' ? item : (counterpartId !== null ? items[counterpartId] : null);
+  if (seed && seed.seedColor) {
+    const colors = seed.seedOverlayColor ? `${seed.seedColor} / ${seed.seedOverlayColor}` : seed.seedColor;
+    embed.addFields({ name: t(locale, 'item.seedColor'), value: colors, inline: true });
+
+    const [r, g, b] = seed.seedColor.split(',').map(Number);
+    if ([r, g, b].every(Number.isInteger)) {
+      embed.setColor((r << 16) | (g << 8) | b);
+    }
+  }
+
+  const recipe = getSpliceRecipe(guildId, itemId);
+  if (recipe) {
+    embed.addFields({
+      name: t(locale, 'item.spliceRecipe'),
+      value: recipe.map(id => formatItemReference(guildId, id, locale)).join(' + ')
+    });
+  }
+
+  const results = findSpliceResults(guildId, itemId);
+  if (results.length > 0) {
+    let value = results.slice(0, MAX_SPLICE_RESULTS).map(id => formatItemReference(guildId, id, locale)).join('\n');
+    if (results.length > MAX_SPLICE_RESULTS) {
+      value += '\n' + t(locale, 'item.moreSpliceResults', { count: results.length - MAX_SPLICE_RESULTS });
+    }
+    embed.addFields({ name: t(locale, 'item.splicesInto'), value: value });
+  }
+
+  embed.addFields(buildItemDetailFields(item, locale));
+
+  const buttons = [];
+  if (counterpartId !== null) {
+    buttons.push({
+      type: 2,
+      style: 2,
+      custom_id: `item_view_${counterpartId}_${userId}`,
+      label: t(locale, category === 'seed' ? 'item.viewBlock' : 'item.viewSeed', { name: items[counterpartId].name }).substring(0, MAX_BUTTON_LABEL)
+    });
+  }
+
+  buttons.push({
+    type: 2,
+    style: 2,
+    custom_id: `item_favorite_${itemId}`,
+    label: t(locale, 'favorites.button')
+  });
+
+  return { embeds: [embed], components: [{ type: 1, components: buttons }] };
+}
+
+/**
+ * Handle the button that switches an /item reply between a block and its seed.
+ * Other users get the counterpart as an ephemeral reply instead.
+ * @param {Object} interaction - Discord button interaction
+ */
+async function handleItemViewButton(interaction) {
+  const sourceId = getItemsSourceId(interaction.guildId);
+  const locale = getInteractionLocale(interaction);
+  const [, , itemIdPart, ownerId] = interaction.customId.split('_');
+  const itemId = parseInt(itemIdPart);
+  const isOwner = interaction.user.id === ownerId;
+
+  // The database may have been replaced or deleted since the reply was sent
+  if (!GUILD_ITEMS_DATA[sourceId] || !GUILD_ITEMS_DATA[sourceId][itemId]) {
+    const content = t(locale, 'item.notFound', { input: itemId });
+
+    if (isOwner) {
+      await interaction.update({ components: disableMessageComponents(interaction.message) });
+      await interaction.followUp({ content: content, flags: 64 });
+    } else {
+      await interaction.reply({ content: content, flags: 64 });
+    }
+    return;
+  }
+
+  const view = buildItemView(sourceId, itemId, locale, interaction.user.id);
+
+  if (isOwner) {
+    await interaction.update(view);
+  } else {
+    await interaction.reply({ ...view, flags: 64 });
+  }
+}
+
+// Most items listed from one message
+const MAX_MESSAGE_ITEMS = 50;
+
+/**
+ * Handle the "Find items in this message" context menu command
+ * @param {Object} interaction - Discord message context menu interaction
+ */
+async function handleFindItemsCommand(interaction) {
+  const sourceId = getItemsSourceId(interaction.guildId);
+  const locale = getInteractionLocale(interaction);
+
+  if (!hasItemsDatabase(sourceId)) {
+    await interaction.reply({
+      content: t(locale, 'common.noDatabase'),
+      flags: 64
+    });
+    return;
+  }
+
+  const message = interaction.targetMessage;
+  const mentions = findItemMentions(sourceId, message.content || '');
+
+  if (mentions.length === 0) {
+    await interaction.reply({
+      content: t(locale, 'finditems.none'),
+      flags: 64
+    });
+    return;
+  }
+
+  const shown = mentions.slice(0, MAX_MESSAGE_ITEMS);
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'finditems.title'))
+    .setDescription(t(locale, 'finditems.description', { count: mentions.length, url: message.url }))
+    .setColor(0x3498DB);
+
+  addItemListFields(embed, shown, t(locale, 'finditems.itemsField'), locale);
+
+  if (mentions.length > shown.length) {
+    embed.setFooter({ text: t(locale, 'finditems.more', { count: mentions.length - shown.length }) });
+  }
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+// Room for the favorites list in an embed description
+const FAVORITES_DESCRIPTION_LIMIT = 4000;
+
+/**
+ * Bookmark an item for a user. Favorites keep the name the item had when it was
+ * added, so a later upload that removes or renames it can be pointed out.
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {number} itemId - Item ID
+ * @param {string} itemName - Current item name
+ * @returns {string} - Catalog key of the reply
+ */
+function addFavoriteItem(guildId, userId, itemId, itemName) {
+  const favorites = getUserFavorites(guildId, userId);
+  const existing = favorites.items.find(favorite => favorite.id === itemId);
+
+  if (existing) {
+    if (existing.name === itemName) {
+      return 'favorites.alreadyAdded';
+    }
+
+    // Adding a renamed favorite again accepts its new name
+    existing.name = itemName;
+    return 'favorites.refreshed';
+  } else if (favorites.items.length >= MAX_FAVORITE_ITEMS) {
+    return 'favorites.full';
+  }
+
+  favorites.items.push({ id: itemId, name: itemName, addedAt: new Date().toISOString() });
+  return 'favorites.added';
+}
+
+/**
+ * Find a user's favorite item by ID or by the name it was saved with
+ * @param {Object} favorites - User favorites
+ * @param {string} input - Item ID or name
+ * @returns {Object|null} - Favorite entry
+ */
+function findFavoriteItem(favorites, input) {
+  input = input.trim();
+  const inputLower = input.toLowerCase();
+
+  return favorites.items.find(favorite => /^\d+$/.test(input)
+    ? favorite.id === parseInt(input)
+    : favorite.name.toLowerCase() === inputLower) || null;
+}
+
+/**
+ * Save a named search for a user, replacing a saved search with the same name
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} name - Name of the saved search
+ * @param {string} query - Search query
+ * @param {string} type - Item category, or 'all'
+ * @returns {string} - Catalog key of the reply
+ */
+function saveUserSearch(guildId, userId, name, query, type) {
+  const favorites = getUserFavorites(guildId, userId);
+  const existing = findSavedSearch(favorites, name);
+  const savedAt = new Date().toISOString();
+
+  if (existing) {
+    Object.assign(existing, { query: query, type: type, savedAt: savedAt });
+    return 'favorites.searchUpdated';
+  } else if (favorites.searches.length >= MAX_SAVED_SEARCHES) {
+    return 'favorites.searchesFull';
+  }
+
+  favorites.searches.push({ name: name, query: query, type: type, savedAt: savedAt });
+  return 'favorites.searchSaved';
+}
+
+/**
+ * Name a search saved from a button after its query, numbered if a different
+ * search already has that name, so saving never replaces an existing search
+ * @param {Object} favorites - User favorites
+ * @param {string} query - Search query
+ * @returns {string} - Unused saved search name
+ */
+function getFreeSearchName(favorites, query) {
+  let name = query.substring(0, MAX_SAVED_SEARCH_NAME);
+
+  for (let number = 2; findSavedSearch(favorites, name); number++) {
+    const suffix = ` (${number})`;
+    name = query.substring(0, MAX_SAVED_SEARCH_NAME - suffix.length) + suffix;
+  }
+
+  return name;
+}
+
+/**
+ * Find a user's saved search by name, ignoring case
+ * @param {Object} favorites - User favorites
+ * @param {string} name - Name of the saved search
+ * @returns {Object|null} - Saved search
+ */
+function findSavedSearch(favorites, name) {
+  const nameLower = name.trim().toLowerCase();
+  return favorites.searches.find(search => search.name.toLowerCase() === nameLower) || null;
+}
+
+/**
+ * Describe a favorite item against the database the guild currently reads
+ * @param {string} sourceId - Database ID
+ * @param {Object} favorite - Favorite entry
+ * @param {string} locale - Locale code
+ * @returns {Object} - { changed, line }
+ */
+function describeFavoriteItem(sourceId, favorite, locale) {
+  const item = (GUILD_ITEMS_DATA[sourceId] || {})[favorite.id];
+
+  if (!item) {
+    return { changed: true, line: t(locale, 'favorites.itemRemoved', { id: favorite.id, name: favorite.name }) };
+  } else if (item.name !== favorite.name) {
+    return { changed: true, line: t(locale, 'favorites.itemRenamed', { id: favorite.id, name: item.name, oldName: favorite.name }) };
+  }
+
+  return { changed: false, line: t(locale, 'favorites.itemLine', { id: favorite.id, name: item.name }) };
+}
+
+/**
+ * Create the embed listing a user's favorite items and saved searches
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} locale - Locale code
+ * @returns {EmbedBuilder} - Favorites embed
+ */
+function createFavoritesEmbed(guildId, userId, locale) {
+  const sourceId = getItemsSourceId(guildId);
+  const favorites = findUserFavorites(guildId, userId);
+  const items = favorites.items.map(favorite => describeFavoriteItem(sourceId, favorite, locale));
+  const changedCount = items.filter(entry => entry.changed).length;
+
+  const lines = [];
+
+  // The warning goes first so it is never cut off
+  if (changedCount > 0) {
+    lines.push(t(locale, 'favorites.changed', { count: changedCount }), '');
+  }
+
+  lines.push(`**${t(locale, 'favorites.items', { count: favorites.items.length, max: MAX_FAVORITE_ITEMS })}**`);
+  lines.push(...(items.length > 0 ? items.map(entry => entry.line) : [t(locale, 'favorites.noItems')]));
+  lines.push('', `**${t(locale, 'favorites.searches', { count: favorites.searches.length, max: MAX_SAVED_SEARCHES })}**`);
+  lines.push(...(favorites.searches.length > 0
+    ? favorites.searches.map(search => t(locale, 'favorites.searchLine', {
+      name: search.name,
+      query: search.query,
+      typeSuffix: formatTypeSuffix(search.type, locale)
+    }))
+    : [t(locale, 'favorites.noSearches')]));
+
+  let description = '';
+  for (let i = 0; i < lines.length; i++) {
+    const more = t(locale, 'favorites.more', { count: lines.length - i });
+    if (description.length + lines[i].length + more.length + 2 > FAVORITES_DESCRIPTION_LIMIT) {
+      description += more;
+      break;
+    }
+    description += lines[i] + '\n';
+  }
+
+  return new EmbedBuilder()
+    .setTitle(t(locale, 'favorites.title'))
+    .setDescription(description.trim())
+    .setColor(changedCount > 0 ? 0xE67E22 : 0xF1C40F);
+}
+
+/**
+ * Save a guild's favorites after a change and confirm it to the user
+ * @param {Object} interaction - Discord command or button interaction
+ * @param {string} key - Catalog key of the reply
+ * @param {Object} params - Values for the reply placeholders
+ */
+async function replyFavoritesChange(interaction, key, params) {
+  const locale = getInteractionLocale(interaction);
+  let content = t(locale, key, { ...params, maxItems: MAX_FAVORITE_ITEMS, maxSearches: MAX_SAVED_SEARCHES });
+
+  try {
+    await saveGuildFavorites(interaction.guildId);
+  } catch (e) {
+    console.error(`[ERROR] Failed to save favorites for guild ${interaction.guildId}: ${e.message}`);
+    content += `\n${t(locale, 'favorites.saveFailed')}`;
+  }
+
+  await interaction.reply({ content: content, flags: 64 });
+}
+
+/**
+ * Build autocomplete choices from a user's favorite items
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} input - Text typed so far
+ * @returns {Array} - Array of autocomplete choices
+ */
+function getFavoriteItemChoices(guildId, userId, input) {
+  const inputLower = input.trim().toLowerCase();
+
+  return findUserFavorites(guildId, userId).items
+    .filter(favorite => favorite.name.toLowerCase().includes(inputLower) || favorite.id.toString().startsWith(inputLower))
+    .slice(0, AUTOCOMPLETE_LIMIT)
+    .map(favorite => ({ name: `${favorite.name} (${favorite.id})`.substring(0, 100), value: favorite.id.toString() }));
+}
+
+/**
+ * Build autocomplete choices from a user's saved searches
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} input - Text typed so far
+ * @returns {Array} - Array of autocomplete choices
+ */
+function getSavedSearchChoices(guildId, userId, input) {
+  const inputLower = input.trim().toLowerCase();
+
+  return findUserFavorites(guildId, userId).searches
+    .filter(search => search.name.toLowerCase().includes(inputLower))
+    .slice(0, AUTOCOMPLETE_LIMIT)
+    .map(search => ({ name: search.name, value: search.name }));
+}
+
+/**
+ * Handle the favorites command
+ * @param {Object} interaction - Discord interaction
+ */
+async function handleFavoritesCommand(interaction) {
+  const guildId = interaction.guildId;
+  const userId = interaction.user.id;
+  const sourceId = getItemsSourceId(guildId);
+  const locale = getInteractionLocale(interaction);
+
+  // Entries found here belong to the stored favorites, so removing them changes those
+  const favorites = findUserFavorites(guildId, userId);
+
+  switch (interaction.options.getSubcommand()) {
+    case 'list':
+      await interaction.reply({ embeds: [createFavoritesEmbed(guildId, userId, locale)], flags: 64 });
+      return;
+
+    case 'add': {
+      const input = interaction.options.getString('item');
+      const itemId = hasItemsDatabase(sourceId) ? resolveItemId(sourceId, input) : null;
+
+      if (itemId === null) {
+        await interaction.reply({ content: formatItemNotFound(sourceId, input, locale), flags: 64 });
+        return;
+      }
+
+      const name = GUILD_ITEMS_DATA[sourceId][itemId].name;
+      await replyFavoritesChange(interaction, addFavoriteItem(guildId, userId, itemId, name), { id: itemId, name: name });
+      return;
+    }
+
+    case 'remove': {
+      const input = interaction.options.getString('item');
+      const favorite = findFavoriteItem(favorites, input);
+
+      if (!favorite) {
+        await interaction.reply({ content: t(locale, 'favorites.notFavorite', { input: input }), flags: 64 });
+        return;
+      }
+
+      favorites.items.splice(favorites.items.indexOf(favorite), 1);
+      await replyFavoritesChange(interaction, 'favorites.removed', { id: favorite.id, name: favorite.name });
+      return;
+    }
+
+    case 'save': {
+      const name = interaction.options.getString('name').trim();
+      const query = interaction.options.getString('query').trim();
+      const type = interaction.options.getString('type') || 'all';
+
+      if (!name || !query) {
+        await interaction.reply({ content: t(locale, 'search.emptyQuery'), flags: 64 });
+        return;
+      }
+
+      const parsed = parseSearchQuery(query, locale);
+      if (!parsed.valid) {
+        await interaction.reply({
+          content: `${parsed.reason}\n\`\`\`\n${parsed.pointer}\n\`\`\`\n${t(locale, 'search.query.help')}`,
+          flags: 64
+        });
+        return;
+      }
+
+      await replyFavoritesChange(interaction, saveUserSearch(guildId, userId, name, query, type), { name: name });
+      return;
+    }
+
+    case 'run': {
+      const search = findSavedSearch(favorites, interaction.options.getString('name'));
+
+      if (!search) {
+        await interaction.reply({
+          content: t(locale, 'favorites.searchNotFound', { name: interaction.options.getString('name') }),
+          flags: 64
+        });
+        return;
+      } else if (!hasItemsDatabase(sourceId)) {
+        await interaction.reply({ content: t(locale, 'common.noDatabase'), flags: 64 });
+        return;
+      }
+
+      await interaction.deferReply();
+      await sendSearchResults(interaction, sourceId, search.query, search.type, 1, null, locale);
+      return;
+    }
+
+    case 'unsave': {
+      const search = findSavedSearch(favorites, interaction.options.getString('name'));
+
+      if (!search) {
+        await interaction.reply({
+          content: t(locale, 'favorites.searchNotFound', { name: interaction.options.getString('name') }),
+          flags: 64
+        });
+        return;
+      }
+
+      favorites.searches.splice(favorites.searches.indexOf(search), 1);
+      await replyFavoritesChange(interaction, 'favorites.searchDeleted', { name: search.name });
+    }
+  }
+}
+
+/**
+ * Handle the favorite button on an /item reply, which bookmarks the item for whoever clicks it
+ * @param {Object} interaction - Discord button interaction
+ */
+async function handleItemFavoriteButton(interaction) {
+  const sourceId = getItemsSourceId(interaction.guildId);
+  const itemId = parseInt(interaction.customId.split('_')[2]);
+  const item = (GUILD_ITEMS_DATA[sourceId] || {})[itemId];
+
+  if (!item) {
+    await interaction.reply({
+      content: t(getInteractionLocale(interaction), 'item.notFound', { input: itemId }),
+      flags: 64
+    });
+    return;
+  }
+
+  const key = addFavoriteItem(interaction.guildId, interaction.user.id, itemId, item.name);
+  await replyFavoritesChange(interaction, key, { id: itemId, name: item.name });
+}
+
+// Bulk lookup limits
+const MAX_LOOKUP_ENTRIES = 1000;
+const MAX_LOOKUP_FILE_SIZE = 1024 * 1024;
+const MAX_LOOKUP_NAME_WIDTH = 32;
+
+// Room left in an embed description once the code block markers are added
+const LOOKUP_TABLE_LIMIT = 4000;
+
+/**
+ * Split a bulk lookup list on commas, semicolons and new lines
+ * @param {string} text - Raw list of IDs and names
+ * @returns {Array} - Non-empty trimmed segments
+ */
+function splitLookupSegments(text) {
+  return text.split(/[,;\n]+/).map(segment => segment.trim()).filter(Boolean);
+}
+
+/**
+ * Turn bulk lookup segments into entries.
+ * A segment that is not an exact item name is split further: numbers are IDs
+ * and the words between them form an item name, so "2 3 dirt seed" gives 2, 3
+ * and "dirt seed".
+ * @param {string} guildId - Discord guild ID
+ * @param {Array} segments - Segments from splitLookupSegments
+ * @returns {Array} - Entries in their original order
+ */
+function parseLookupEntries(guildId, segments) {
+  const entries = [];
+
+  for (const trimmed of segments) {
+    if (resolveItemId(guildId, trimmed) !== null && !/^\d+$/.test(trimmed)) {
+      entries.push(trimmed);
+      continue;
+    }
+
+    let nameWords = [];
+
+    for (const token of trimmed.split(/\s+/)) {
+      if (/^\d+$/.test(token)) {
+        if (nameWords.length > 0) {
+          entries.push(nameWords.join(' '));
+          nameWords = [];
+        }
+        entries.push(token);
+      } else if (token) {
+        nameWords.push(token);
+      }
+    }
+
+    if (nameWords.length > 0) {
+      entries.push(nameWords.join(' '));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Format resolved items as a fixed-width table of ID, name and type
+ * @param {string} guildId - Discord guild ID
+ * @param {Array} itemIds - Resolved item IDs
+ * @param {string} locale - Locale code
+ * @returns {Array} - Table lines, header first
+ */
+function formatLookupTable(guildId, itemIds, locale) {
+  const items = GUILD_ITEMS_DATA[guildId];
+  const idWidth = Math.max(2, ...itemIds.map(id => id.toString().length));
+  const nameWidth = Math.min(MAX_LOOKUP_NAME_WIDTH, Math.max(4, ...itemIds.map(id => items[id].name.length)));
+
+  const row = (id, name, type) => `${id.padEnd(idWidth)}  ${name.padEnd(nameWidth)}  ${type}`;
+
+  return [
+    row('ID', t(locale, 'item.name'), t(locale, 'item.type')),
+    ...itemIds.map(id => row(id.toString(), items[id].name, t(locale, `choice.type.${getItemCategory(items[id])}`)))
+  ];
+}
+
+/**
+ * Handle the lookupitems command
+ * @param {Object} interaction - Discord interaction
+ */
+async function handleLookupItemsCommand(interaction) {
+  const sourceId = getItemsSourceId(interaction.guildId);
+  const locale = getInteractionLocale(interaction);
+
+  if (!GUILD_ITEMS_DATA[sourceId] || Object.keys(GUILD_ITEMS_DATA[sourceId]).length === 0) {
+    await interaction.reply({
+      content: t(locale, 'common.noDatabase'),
+      flags: 64
+    });
+    return;
+  }
+
+  const text = interaction.options.getString('items') || '';
+  const attachment = interaction.options.getAttachment('file');
+
+  if (!text.trim() && !attachment) {
+    await interaction.reply({
+      content: t(locale, 'lookup.empty'),
+      flags: 64
+    });
+    return;
+  }
+
+  if (attachment && (!/\.txt$/i.test(attachment.name) || attachment.size > MAX_LOOKUP_FILE_SIZE)) {
+    await interaction.reply({
+      content: t(locale, 'lookup.invalidFile', { size: MAX_LOOKUP_FILE_SIZE / 1024 }),
+      flags: 64
+    });
+    return;
+  }
+
+  await interaction.deferReply();
+
+  let content = text;
+  if (attachment) {
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+      throw new Error(`Failed to download file: ${response.status} ${response.statusText}`);
+    }
+    content += '\n' + await response.text();
+  }
+
+  // Count before resolving anything, a huge list is rejected without touching the index
+  const segments = splitLookupSegments(content);
+  if (segments.length > MAX_LOOKUP_ENTRIES) {
+    await interaction.followUp({
+      content: t(locale, 'lookup.tooMany', { count: segments.length, max: MAX_LOOKUP_ENTRIES }),
+      flags: 64
+    });
+    return;
+  }
+
+  const entries = parseLookupEntries(sourceId, segments);
+
+  if (entries.length === 0) {
+    await interaction.followUp({ content: t(locale, 'lookup.empty'), flags: 64 });
+    return;
+  } else if (entries.length > MAX_LOOKUP_ENTRIES) {
+    await interaction.followUp({
+      content: t(locale, 'lookup.tooMany', { count: entries.length, max: MAX_LOOKUP_ENTRIES }),
+      flags: 64
+    });
+    return;
+  }
+
+  // Resolve each entry the same way /item does, exact IDs and names only, skipping repeated items
+  const resolvedIds = [];
+  const notFound = [];
+
+  for (const entry of entries) {
+    const itemId = resolveItemId(sourceId, entry);
+
+    if (itemId === null) {
+      notFound.push(entry);
+    } else if (!resolvedIds.includes(itemId)) {
+      resolvedIds.push(itemId);
+    }
+  }
+
+  const table = resolvedIds.length > 0 ? formatLookupTable(sourceId, resolvedIds, locale) : [];
+
+  // Show as many rows as fit in the embed; the attachment always has all of them
+  const shownRows = [];
+  let shownLength = 0;
+  for (const line of table) {
+    if (shownLength + line.length + 1 > LOOKUP_TABLE_LIMIT) {
+      break;
+    }
+    shownRows.push(line);
+    shownLength += line.length + 1;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'lookup.title'))
+    .setColor(0x3498DB)
+    .setDescription(shownRows.length > 0 ? `\`\`\`\n${shownRows.join('\n')}\n\`\`\`` : t(locale, 'lookup.noneFound'))
+    .setFooter({ text: t(locale, 'lookup.footer', { found: resolvedIds.length, missing: notFound.length, total: entries.length }) });
+
+  let notFoundValue = '';
+  let notFoundTruncated = false;
+  for (const [index, entry] of notFound.entries()) {
+    const line = `• ${entry}\n`;
+    const more = t(locale, 'lookup.more', { count: notFound.length - index });
+
+    if (notFoundValue.length + line.length + more.length > 1024) {
+      notFoundValue += more;
+      notFoundTruncated = true;
+      break;
+    }
+    notFoundValue += line;
+  }
+
+  if (notFound.length > 0) {
+    embed.addFields({ name: t(locale, 'lookup.notFound'), value: notFoundValue.trim() });
+  }
+
+  const message = { embeds: [embed] };
+
+  if (shownRows.length < table.length || notFoundTruncated) {
+    const lines = [...table];
+    if (notFound.length > 0) {
+      lines.push('', `${t(locale, 'lookup.notFound')} (${notFound.length})`, ...notFound);
+    }
+
+    message.content = t(locale, 'lookup.attached');
+    message.files = [new AttachmentBuilder(Buffer.from(lines.join('\n'), 'utf8'), { name: 'lookup-results.txt' })];
+  }
+
+  await interaction.followUp(message);
+}
+
+/**
+ * Build embed fields for the parsed add_item columns of an item
+ * @param {Object} item - Item record
+ * @param {string} locale - Locale code
+ * @returns {Array} - Array of embed fields
+ */
+function buildItemDetailFields(item, locale) {
+  const fields = [];
 
-  if (!query) {
+  for (const field of ITEM_FIELDS) {
+    if (!field.detail) {
+      continue;
+    }
+
+    const value = item[field.key];
+    fields.push({
+      name: t(locale, `item.field.${field.key}`),
+      value: value === '' || value === undefined ? '-' : value.toString(),
+      inline: true
+    });
+  }
+
+  fields.push({
+    name: t(locale, 'item.field.textureXY'),
+    value: `${item.textureX || 0}, ${item.textureY || 0}`,
+    inline: true
+  });
+
+  return fields;
+}
+
+// Uploads are parsed one at a time in a worker thread; the rest wait in this queue
+const UPLOAD_QUEUE = [];
+const UPLOAD_PROGRESS_INTERVAL = 2000;
+
+// Interaction tokens expire after 15 minutes, so an upload still queued after this
+// long is dropped while its reply can still be edited
+const UPLOAD_MAX_QUEUE_WAIT = 13 * 60 * 1000;
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+const PARSE_WORKER_PATH = path.join(__dirname, 'lib', 'parse-worker.js');
+
+let activeUpload = null;
+
+/**
+ * Edit an upload's deferred reply, with a cancel button while it can still be cancelled
+ * @param {Object} job - Upload job
+ * @param {string} content - New reply content
+ */
+async function editUploadStatus(job, content) {
+  const components = job.stage === 'applying' ? [] : [{
+    type: 1, // ACTION_ROW
+    components: [{
+      type: 2, // BUTTON
+      style: 4, // DANGER
+      custom_id: `upload_cancel_${job.id}`,
+      label: t(job.locale, 'additems.cancel')
+    }]
+  }];
+
+  try {
+    await job.interaction.editReply({ content: content, components: components });
+  } catch (e) {
+    console.log(`[ERROR] Failed to update upload status: ${e.message}`);
+  }
+}
+
+/**
+ * Show download and parse progress reported by the worker, at most every UPLOAD_PROGRESS_INTERVAL
+ * @param {Object} job - Upload job
+ * @param {Object} progress - { received, total, items } from the worker
+ */
+function updateUploadProgress(job, progress) {
+  const now = Date.now();
+  if (job.cancelled || now - job.lastProgressEdit < UPLOAD_PROGRESS_INTERVAL) {
+    return;
+  }
+  job.lastProgressEdit = now;
+
+  const total = progress.total || job.attachment.size;
+  editUploadStatus(job, t(job.locale, 'additems.progress', {
+    file: job.attachment.name,
+    percent: total > 0 ? Math.min(100, Math.floor(progress.received / total * 100)) : 0,
+    received: (progress.received / 1024 / 1024).toFixed(1),
+    total: (total / 1024 / 1024).toFixed(1),
+    items: progress.items
+  }));
+}
+
+/**
+ * Download and parse an upload in a worker thread
+ * @param {Object} job - Upload job
+ * @returns {Object|null} - Worker result, or null if the upload was cancelled
+ */
+function runUploadWorker(job) {
+  return new Promise((resolve, reject) => {
+    // The worker diffs against the current names, so only those are copied to it
+    const oldItems = GUILD_ITEMS_DATA[job.interaction.guildId];
+    const worker = new Worker(PARSE_WORKER_PATH, {
+      workerData: {
+        url: job.attachment.url,
+        size: job.attachment.size,
+        maxSize: MAX_UPLOAD_SIZE,
+        strict: job.strict,
+        oldNames: oldItems && Object.keys(oldItems).length > 0 ? getItemNames(oldItems) : null
+      }
+    });
+    let settled = false;
+
+    const settle = (callback, value) => {
+      if (!settled) {
+        settled = true;
+        callback(value);
+      }
+    };
+
+    job.worker = worker;
+
+    worker.on('message', message => {
+      if (message.type === 'progress') {
+        updateUploadProgress(job, message);
+      } else if (message.type === 'done') {
+        settle(resolve, message.result);
+      } else if (message.type === 'error') {
+        settle(reject, new Error(message.message));
+      }
+    });
+
+    worker.on('error', e => settle(reject, e));
+
+    // Cancelling terminates the worker, which ends up here without a result
+    worker.on('exit', code => {
+      job.worker = null;
+      if (job.cancelled) {
+        settle(resolve, null);
+      } else {
+        settle(reject, new Error(`Parser worker stopped with exit code ${code}`));
+      }
+    });
+  });
+}
+
+/**
+ * Start the next queued upload if none is running
+ */
+async function processUploadQueue() {
+  if (activeUpload || UPLOAD_QUEUE.length === 0) {
+    return;
+  }
+
+  const job = UPLOAD_QUEUE.shift();
+  activeUpload = job;
+  job.stage = 'parsing';
+  clearTimeout(job.expiryTimer);
+
+  // Everyone still waiting moved up one place
+  UPLOAD_QUEUE.forEach((queued, index) => {
+    editUploadStatus(queued, t(queued.locale, 'additems.queued', { position: index + 1 }));
+  });
+
+  try {
+    // Memory may have filled up while the upload was waiting in the queue
+    const format = job.attachment.name.toLowerCase().endsWith('.dat') ? 'dat' : 'txt';
+    if (isMemoryBudgetExceeded(estimateDatabaseHeap(job.attachment.size, format))) {
+      refundRateLimit(job.interaction, 'upload');
+      job.stage = 'applying';
+      await editUploadStatus(job, t(job.locale, 'common.memoryBudget'));
+      return;
+    }
+
+    await editUploadStatus(job, t(job.locale, 'additems.downloading', { file: job.attachment.name }));
+    const result = await runUploadWorker(job);
+
+    // A cancel can arrive after the worker finished but before its result was handled
+    if (result && !job.cancelled) {
+      job.stage = 'applying';
+      await applyUploadedItems(job, result);
+    }
+  } catch (e) {
+    console.error(`[ERROR] Failed to process items file: ${e.message}`);
+    job.stage = 'applying';
+    await editUploadStatus(job, t(job.locale, 'additems.failed', { error: e.message }));
+  } finally {
+    activeUpload = null;
+    processUploadQueue();
+  }
+}
+
+/**
+ * Drop an upload that waited in the queue for too long
+ * @param {Object} job - Upload job
+ */
+function expireQueuedUpload(job) {
+  const index = UPLOAD_QUEUE.indexOf(job);
+  if (index === -1) {
+    return;
+  }
+
+  UPLOAD_QUEUE.splice(index, 1);
+  job.stage = 'applying';
+  editUploadStatus(job, t(job.locale, 'additems.expired', { file: job.attachment.name }));
+}
+
+/**
+ * Queue an upload; it is applied in the background once earlier uploads are done
+ * @param {Object} interaction - Deferred Discord interaction
+ * @param {Object} attachment - Uploaded file
+ * @param {boolean} strict - Reject the upload if the file has any error
+ * @param {string} locale - Locale code
+ */
+function queueUpload(interaction, attachment, strict, locale) {
+  const job = {
+    id: crypto.randomBytes(4).toString('hex'),
+    interaction: interaction,
+    userId: interaction.user.id,
+    attachment: attachment,
+    strict: strict,
+    locale: locale,
+    stage: 'queued',
+    cancelled: false,
+    worker: null,
+    lastProgressEdit: 0,
+    expiryTimer: null
+  };
+
+  UPLOAD_QUEUE.push(job);
+
+  if (activeUpload) {
+    const waited = Date.now() - interaction.createdTimestamp;
+    job.expiryTimer = setTimeout(() => expireQueuedUpload(job), Math.max(0, UPLOAD_MAX_QUEUE_WAIT - waited));
+    editUploadStatus(job, t(locale, 'additems.queued', { position: UPLOAD_QUEUE.length }));
+  }
+
+  processUploadQueue();
+}
+
+/**
+ * Handle the cancel button of a queued or running upload
+ * @param {Object} interaction - Discord button interaction
+ */
+async function handleUploadCancel(interaction) {
+  const locale = getInteractionLocale(interaction);
+  const jobId = interaction.customId.split('_')[2];
+  const job = activeUpload && activeUpload.id === jobId
+    ? activeUpload
+    : UPLOAD_QUEUE.find(queued => queued.id === jobId);
+
+  if (!job || job.stage === 'applying') {
+    await interaction.reply({ content: t(locale, 'additems.cancelTooLate'), flags: 64 });
+    return;
+  }
+
+  if (interaction.user.id !== job.userId && !isGuildAdministrator(interaction)) {
+    await interaction.reply({ content: t(locale, 'additems.cancelNotOwner'), flags: 64 });
+    return;
+  }
+
+  job.cancelled = true;
+
+  if (job.stage === 'queued') {
+    UPLOAD_QUEUE.splice(UPLOAD_QUEUE.indexOf(job), 1);
+    clearTimeout(job.expiryTimer);
+  } else if (job.worker) {
+    job.worker.terminate();
+  }
+
+  await interaction.update({ content: t(job.locale, 'additems.cancelled', { file: job.attachment.name }), components: [] });
+}
+
+/**
+ * Handle the additems command
+ * @param {Object} interaction - Discord interaction
+ */
+async function handleAddItemsCommand(interaction) {
+  await interaction.deferReply();
+
+  const locale = getInteractionLocale(interaction);
+  const attachment = interaction.options.getAttachment('file');
+  const strict = interaction.options.getBoolean('strict') || false;
+
+  // Uploads refused before the download did none of the work the upload limit is for,
+  // so they give their rate limit token back
+  const extension = attachment.name.match(/\.(txt|dat)$/i);
+  if (!extension) {
+    refundRateLimit(interaction, 'upload');
+    await interaction.followUp({
+      content: t(locale, 'additems.invalidFile'),
+      flags: 64
+    });
+    return;
+  }
+
+  // Check if file size is reasonable (max 10MB)
+  if (attachment.size > MAX_UPLOAD_SIZE) {
+    refundRateLimit(interaction, 'upload');
+    await interaction.followUp({
+      content: t(locale, 'additems.tooLarge'),
+      flags: 64
+    });
+    return;
+  }
+
+  if (isMemoryBudgetExceeded(estimateDatabaseHeap(attachment.size, extension[1].toLowerCase()))) {
+    refundRateLimit(interaction, 'upload');
+    await interaction.followUp({
+      content: t(locale, 'common.memoryBudget'),
+      flags: 64
+    });
+    return;
+  }
+
+  // The upload is reported through the deferred reply, so the command itself ends here
+  queueUpload(interaction, attachment, strict, locale);
+}
+
+/**
+ * Replace a guild's database with a parsed upload, or report why it was rejected
+ * @param {Object} job - Upload job
+ * @param {Object} result - { format, version, addItemCount, itemsData, report } from the worker,
+ *   with the diff, nameIndex and itemsJson the worker prepared for an accepted upload
+ */
+async function applyUploadedItems(job, result) {
+  const { interaction, attachment, locale } = job;
+  const guildId = interaction.guildId;
+  const { itemsData, report } = result;
+
+  // Validate the file first
+  const validation = checkItemsFormat(result, locale);
+  if (!validation.valid) {
+    await interaction.editReply({ content: `❌ ${validation.reason}`, components: [] });
+    return;
+  }
+
+  const errorCount = countParseErrors(report);
+  const reportAttachment = createParseReportAttachment(report, attachment.name);
+
+  if (Object.keys(itemsData).length === 0) {
+    await interaction.editReply({
+      content: t(locale, 'additems.noItemsParsed'),
+      components: [],
+      files: [reportAttachment]
+    });
+    return;
+  }
+
+  if (job.strict && errorCount > 0) {
+    await interaction.editReply({
+      content: t(locale, 'additems.strictRejected', { count: errorCount }),
+      components: [],
+      files: [reportAttachment]
+    });
+    return;
+  }
+
+  // Check if guild already has items
+  const oldCount = Object.keys(GUILD_ITEMS_DATA[guildId] || {}).length;
+  const newCount = Object.keys(itemsData).length;
+
+  // The worker compared against the replaced database so changes between game updates are visible
+  const diff = result.diff;
+
+  initializeGuildItems(guildId, itemsData, result.nameIndex);
+  GUILD_ITEMS_META[guildId] = {
+    uploadedAt: new Date().toISOString(),
+    uploadedBy: {
+      id: interaction.user.id,
+      tag: interaction.user.tag
+    },
+    lastDiff: diff
+  };
+
+  let message;
+  if (oldCount > 0) {
+    // Update existing items
+    message = t(locale, 'additems.updated', { newCount: newCount, oldCount: oldCount });
+  } else {
+    // Add new items
+    message = t(locale, 'additems.added', { count: newCount });
+  }
+
+  if (validation.warning) {
+    message += `\n${t(locale, 'additems.note', { warning: validation.warning })}`;
+  }
+
+  message += `\n${t(locale, 'additems.report', {
+    errors: report.errors.length,
+    invalidIds: report.invalidIds.length,
+    duplicates: report.duplicates.length,
+    gaps: report.gaps.length
+  })}`;
+
+  // Persist the database so it survives restarts, and keep it as a version for rollback
+  try {
+    const version = await archiveGuildVersion(guildId, itemsData, GUILD_ITEMS_META[guildId], result.itemsJson);
+    GUILD_ITEMS_META[guildId].versionId = version.id;
+    await saveGuildItems(guildId, result.itemsJson);
+  } catch (e) {
+    console.error(`[ERROR] Failed to save database for guild ${guildId}: ${e.message}`);
+    message += `\n${t(locale, 'common.saveFailed')}`;
+  }
+
+  const reply = {
+    content: message,
+    components: [],
+    files: [reportAttachment]
+  };
+
+  if (diff) {
+    reply.embeds = [createDiffEmbed(diff, locale)];
+    reply.files.push(createDiffAttachment(diff));
+  }
+
+  await interaction.editReply(reply);
+}
+
+/**
+ * Handle the delitems command
+ * @param {Object} interaction - Discord interaction
+ */
+async function handleDelItemsCommand(interaction) {
+  const guildId = interaction.guildId;
+  const locale = getInteractionLocale(interaction);
+
+  if (!GUILD_ITEMS_DATA[guildId] || Object.keys(GUILD_ITEMS_DATA[guildId]).length === 0) {
+    await interaction.reply({
+      content: t(locale, 'delitems.noDatabase'),
+      flags: 64
+    });
+    return;
+  }
+
+  const itemCount = Object.keys(GUILD_ITEMS_DATA[guildId]).length;
+  const meta = GUILD_ITEMS_META[guildId] || {};
+
+  // Databases uploaded before history existed are archived now, so they can still be restored
+  if (!meta.versionId) {
+    try {
+      await archiveGuildVersion(guildId, GUILD_ITEMS_DATA[guildId], meta);
+    } catch (e) {
+      console.error(`[ERROR] Failed to archive database for guild ${guildId}: ${e.message}`);
+      await interaction.reply({
+        content: t(locale, 'delitems.archiveFailed', { error: e.message }),
+        flags: 64
+      });
+      return;
+    }
+  }
+
+  // Delete the guild's active items data
+  unloadGuildItems(guildId);
+
+  try {
+    await deleteGuildItems(guildId);
+  } catch (e) {
+    console.error(`[ERROR] Failed to delete stored database for guild ${guildId}: ${e.message}`);
+  }
+
+  await interaction.reply({
+    content: t(locale, 'delitems.deleted', { count: itemCount }),
+    ephemeral: false
+  });
+}
+
+/**
+ * Handle the exportitems command
+ * @param {Object} interaction - Discord interaction
+ */
+async function handleExportItemsCommand(interaction) {
+  const sourceId = getItemsSourceId(interaction.guildId);
+  const locale = getInteractionLocale(interaction);
+
+  if (!GUILD_ITEMS_DATA[sourceId] || Object.keys(GUILD_ITEMS_DATA[sourceId]).length === 0) {
     await interaction.reply({
-      content: "Mohon berikan kata kunci pencarian.",
+      content: t(locale, 'common.noDatabaseInfo'),
       flags: 64
     });
     return;
@@ -410,265 +3831,484 @@ async function handleSearchCommand(interaction) {
 
   await interaction.deferReply();
 
-  const matches = findItemsByQuery(guildId, query, type);
+  const format = interaction.options.getString('format');
+  const items = Object.values(GUILD_ITEMS_DATA[sourceId]);
 
-  if (matches.length === 0) {
-    await interaction.followUp(`Tidak ditemukan item yang cocok dengan: '${query}'${type !== 'all' ? ` (Type: ${type})` : ''}`);
+  await sendExport(interaction, items, format, 'items',
+    t(locale, 'export.database', { count: items.length }));
+}
+
+/**
+ * Handle the itemshistory command
+ * @param {Object} interaction - Discord interaction
+ */
+async function handleItemsHistoryCommand(interaction) {
+  const guildId = interaction.guildId;
+  const locale = getInteractionLocale(interaction);
+
+  let versions;
+  try {
+    versions = await readHistoryIndex(guildId);
+  } catch (e) {
+    console.error(`[ERROR] Failed to read history for guild ${guildId}: ${e.message}`);
+    await interaction.reply({
+      content: t(locale, 'history.readFailed', { error: e.message }),
+      flags: 64
+    });
+    return;
+  }
+
+  if (versions.length === 0) {
+    await interaction.reply({
+      content: t(locale, 'history.empty'),
+      flags: 64
+    });
     return;
   }
 
-  // Check if we have too many results
-  if (matches.length >= 500) {
+  const activeVersionId = (GUILD_ITEMS_META[guildId] || {}).versionId;
+  const lines = versions.map((version, index) => {
+    return t(locale, 'history.entry', {
+      number: index + 1,
+      uploadedAt: formatUploadedAt(version.uploadedAt, locale),
+      count: version.itemCount,
+      uploader: formatUploader(version.uploadedBy, locale),
+      active: version.id === activeVersionId ? t(locale, 'history.active') : ''
+    });
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'history.title'))
+    .setDescription(lines.join('\n'))
+    .setColor(0x3498DB)
+    .setFooter({ text: t(locale, 'history.footer', { count: MAX_HISTORY_VERSIONS }) });
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Handle the restoreitems command
+ * @param {Object} interaction - Discord interaction
+ */
+async function handleRestoreItemsCommand(interaction) {
+  const guildId = interaction.guildId;
+  const locale = getInteractionLocale(interaction);
+
+  await interaction.deferReply();
+
+  const versionNumber = interaction.options.getInteger('version');
+
+  try {
+    const versions = await readHistoryIndex(guildId);
+    const version = versions[versionNumber - 1];
+
+    if (!version) {
+      await interaction.followUp({
+        content: t(locale, 'restore.notFound', { number: versionNumber }),
+        flags: 64
+      });
+      return;
+    }
+
+    if (isMemoryBudgetExceeded(estimateDatabaseHeap(await getGuildVersionSize(guildId, version.id), 'json'))) {
+      await interaction.followUp({
+        content: t(locale, 'common.memoryBudget'),
+        flags: 64
+      });
+      return;
+    }
+
+    const itemsData = await loadGuildVersion(guildId, version.id);
+    const oldItems = GUILD_ITEMS_DATA[guildId] || {};
+    const diff = Object.keys(oldItems).length > 0 ? createItemsDiff(getItemNames(oldItems), getItemNames(itemsData)) : null;
+
+    initializeGuildItems(guildId, itemsData);
+    GUILD_ITEMS_META[guildId] = {
+      uploadedAt: version.uploadedAt,
+      uploadedBy: version.uploadedBy,
+      versionId: version.id,
+      restoredAt: new Date().toISOString(),
+      restoredBy: {
+        id: interaction.user.id,
+        tag: interaction.user.tag
+      },
+      lastDiff: diff
+    };
+
+    let message = t(locale, 'restore.restored', { number: versionNumber, count: version.itemCount });
+
+    try {
+      await saveGuildItems(guildId);
+    } catch (e) {
+      console.error(`[ERROR] Failed to save database for guild ${guildId}: ${e.message}`);
+      message += `\n${t(locale, 'common.saveFailed')}`;
+    }
+
+    const reply = { content: message };
+    if (diff) {
+      reply.embeds = [createDiffEmbed(diff, locale)];
+      reply.files = [createDiffAttachment(diff)];
+    }
+
+    await interaction.followUp(reply);
+  } catch (error) {
+    console.error(`[ERROR] Failed to restore version for guild ${guildId}: ${error.message}`);
     await interaction.followUp({
-      content: `⚠️ Ditemukan lebih dari 500 kecocokan untuk '${query}'. Mohon masukkan kata kunci yang lebih spesifik untuk mempersempit hasil pencarian.`,
+      content: t(locale, 'restore.failed', { error: error.message }),
       flags: 64
     });
-    return;
   }
+}
 
-  const ITEMS_PER_PAGE = 50;
-  const { embed, currentPage, totalPages } = createPaginatedEmbed(
-    matches, page, ITEMS_PER_PAGE, query, type
-  );
+/**
+ * Check if the member who triggered an interaction is a server administrator
+ * @param {Object} interaction - Discord interaction
+ * @returns {boolean} - True if the member has the Administrator permission
+ */
+function isGuildAdministrator(interaction) {
+  return Boolean(interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.Administrator));
+}
 
-  // Add pagination buttons if there are multiple pages
-  const row = {
-    type: 1, // ACTION_ROW
-    components: []
-  };
+/**
+ * Get the role IDs of the member who triggered an interaction
+ * @param {Object} interaction - Discord interaction
+ * @returns {Array} - Array of role IDs
+ */
+function getMemberRoleIds(interaction) {
+  const roles = interaction.member && interaction.member.roles;
 
-  if (totalPages > 1) {
-    // First page button
-    row.components.push({
-      type: 2, // BUTTON
-      style: 2, // SECONDARY
-      custom_id: `search_first_${query}_${type}`,
-      label: '<<',
-      disabled: currentPage === 1
-    });
+  if (!roles) {
+    return [];
+  }
 
-    // Previous page button
-    row.components.push({
-      type: 2, // BUTTON
-      style: 2, // SECONDARY
-      custom_id: `search_prev_${query}_${type}`,
-      label: '<',
-      disabled: currentPage === 1
-    });
+  // Uncached members only carry the raw array of role IDs
+  return Array.isArray(roles) ? roles : [...roles.cache.keys()];
+}
 
-    // Page indicator (not a button)
-    row.components.push({
-      type: 2, // BUTTON
-      style: 2, // SECONDARY
-      custom_id: `search_indicator_${currentPage}_${totalPages}`,
-      label: `${currentPage}/${totalPages}`,
-      disabled: true
-    });
+/**
+ * Check if the member who triggered an interaction may perform an action.
+ * Administrators may always perform every action.
+ * @param {Object} interaction - Discord interaction
+ * @param {string} action - 'admin' or a key of PERMISSION_ACTIONS
+ * @returns {boolean} - True if the action is allowed
+ */
+function hasGuildPermission(interaction, action) {
+  if (isGuildAdministrator(interaction)) {
+    return true;
+  }
 
-    // Next page button
-    row.components.push({
-      type: 2, // BUTTON
-      style: 2, // SECONDARY
-      custom_id: `search_next_${query}_${type}`,
-      label: '>',
-      disabled: currentPage === totalPages
-    });
+  if (action === 'admin' || !interaction.guildId) {
+    return false;
+  }
 
-    // Last page button
-    row.components.push({
-      type: 2, // BUTTON
-      style: 2, // SECONDARY
-      custom_id: `search_last_${query}_${type}`,
-      label: '>>',
-      disabled: currentPage === totalPages
-    });
+  // Read without creating a config, so checks in unconfigured guilds store nothing
+  const roles = (findGuildConfig(interaction.guildId) || {}).roles || {};
+  const allowedRoles = roles[action] || [];
+  return getMemberRoleIds(interaction).some(roleId => allowedRoles.includes(roleId));
+}
+
+/**
+ * Check if search commands may be used in the channel of an interaction
+ * @param {Object} interaction - Discord interaction
+ * @returns {boolean} - True if the channel is allowed
+ */
+function isSearchChannelAllowed(interaction) {
+  if (!interaction.guildId) {
+    return true;
   }
 
-  // Send the reply
-  if (totalPages > 1) {
-    await interaction.followUp({
-      embeds: [embed],
-      components: [row]
-    });
-  } else {
-    await interaction.followUp({
-      embeds: [embed]
-    });
+  const channels = (findGuildConfig(interaction.guildId) || {}).searchChannels || [];
+  if (channels.length === 0) {
+    return true;
   }
+
+  // Threads follow the settings of their parent channel
+  const parentId = interaction.channel && interaction.channel.parentId;
+  return channels.includes(interaction.channelId) || Boolean(parentId && channels.includes(parentId));
 }
 
 /**
- * Handle the item command
+ * Check the configured permissions and channels before a command runs, replying when it is denied
  * @param {Object} interaction - Discord interaction
+ * @returns {boolean} - True if the command may run
  */
-async function handleItemCommand(interaction) {
-  const guildId = interaction.guildId;
+async function ensureCommandAccess(interaction) {
+  const { commandName } = interaction;
+  const action = COMMAND_PERMISSIONS[commandName];
+  const locale = getInteractionLocale(interaction);
 
-  if (!GUILD_ITEMS_DATA[guildId] || Object.keys(GUILD_ITEMS_DATA[guildId]).length === 0) {
-    await interaction.reply({
-      content: "⚠️ Database items.txt belum didaftarkan di server ini. Silakan gunakan `/additems` untuk mengunggah file items.txt terlebih dahulu.",
-      flags: 64
-    });
-    return;
+  if (action && !hasGuildPermission(interaction, action)) {
+    const allowedRoles = action === 'admin' ? [] : getGuildConfig(interaction.guildId).roles[action];
+    const content = allowedRoles.length > 0
+      ? t(locale, 'common.roleRequired', { roles: allowedRoles.map(roleId => `<@&${roleId}>`).join(', ') })
+      : t(locale, 'common.adminRequired');
+
+    await interaction.reply({ content: content, flags: 64 });
+    return false;
   }
 
-  const itemId = interaction.options.getInteger('item_id');
+  if (SEARCH_COMMANDS.includes(commandName) && !(await ensureSearchChannel(interaction))) {
+    return false;
+  }
 
-  if (GUILD_ITEMS_DATA[guildId][itemId]) {
-    const embed = new EmbedBuilder()
-      .setTitle(`Informasi Item: ${itemId}`)
-      .setDescription(GUILD_ITEMS_DATA[guildId][itemId])
-      .setColor(0x3498DB)
-      .addFields(
-        { name: "Item ID", value: itemId.toString(), inline: true },
-        { name: "Nama Item", value: GUILD_ITEMS_DATA[guildId][itemId], inline: true }
-      );
+  return true;
+}
 
-    // Determine if it's a block or seed
-    const type = GUILD_ITEMS_DATA[guildId][itemId].toLowerCase().includes('seed') ? 'Seed' : 'Block';
-    embed.addFields({ name: "Tipe", value: type, inline: true });
+/**
+ * Check that a search command or one of its buttons is used in an allowed channel,
+ * replying with the allowed channels if it is not
+ * @param {Object} interaction - Discord command or component interaction
+ * @returns {boolean} - True if the interaction may continue
+ */
+async function ensureSearchChannel(interaction) {
+  if (isSearchChannelAllowed(interaction)) {
+    return true;
+  }
 
-    await interaction.reply({ embeds: [embed] });
-  } else {
-    await interaction.reply({
-      content: `Item dengan ID ${itemId} tidak ditemukan dalam database.`,
-      flags: 64
-    });
+  const channels = getGuildConfig(interaction.guildId).searchChannels;
+  await interaction.reply({
+    content: t(getInteractionLocale(interaction), 'common.channelRestricted', { channels: channels.map(channelId => `<#${channelId}>`).join(', ') }),
+    flags: 64
+  });
+  return false;
+}
+
+/**
+ * Create an embed that shows a guild's configuration
+ * @param {string} guildId - Discord guild ID
+ * @param {string} locale - Locale of the embed text
+ * @returns {EmbedBuilder} - Configuration embed
+ */
+function createConfigEmbed(guildId, locale) {
+  const config = getGuildConfig(guildId);
+  const formatRoles = (roleIds) => roleIds.length > 0
+    ? roleIds.map(roleId => `<@&${roleId}>`).join(', ')
+    : t(locale, 'config.adminOnly');
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'config.title'))
+    .setColor(0x3498DB);
+
+  for (const [action, key] of Object.entries(PERMISSION_ACTIONS)) {
+    embed.addFields({ name: t(locale, key), value: formatRoles(config.roles[action]), inline: true });
   }
+
+  embed.addFields(
+    {
+      name: t(locale, 'config.searchChannels'),
+      value: config.searchChannels.length > 0
+        ? config.searchChannels.map(channelId => `<#${channelId}>`).join(', ')
+        : t(locale, 'config.allChannels')
+    },
+    {
+      name: t(locale, 'config.language'),
+      value: LOCALES[config.language] ? t(locale, `choice.language.${config.language}`) : t(locale, 'config.languageAuto')
+    },
+    {
+      name: t(locale, 'config.sharing'),
+      value: t(locale, config.shareDatabase ? 'config.sharingOn' : 'config.sharingOff'),
+      inline: true
+    },
+    {
+      name: t(locale, 'config.subscription'),
+      value: config.subscribedTo ? `\`${config.subscribedTo}\`` : t(locale, 'common.none'),
+      inline: true
+    }
+  );
+
+  return embed;
 }
 
 /**
- * Handle the additems command
+ * Handle the config command
  * @param {Object} interaction - Discord interaction
  */
-async function handleAddItemsCommand(interaction) {
-  await interaction.deferReply();
-
+async function handleConfigCommand(interaction) {
   const guildId = interaction.guildId;
-  const attachment = interaction.options.getAttachment('file');
+  const subcommand = interaction.options.getSubcommand();
+  const config = getGuildConfig(guildId);
+  let message;
 
-  // Check if it's actually a text file named items.txt
-  if (!attachment.name.toLowerCase() === 'items.txt') {
-    await interaction.followUp({
-      content: "⚠️ File harus bernama 'items.txt'! Mohon rename file Anda terlebih dahulu.",
-      flags: 64
-    });
-    return;
-  }
+  switch (subcommand) {
+    case 'show':
+      await interaction.reply({ embeds: [createConfigEmbed(guildId, getInteractionLocale(interaction))], flags: 64 });
+      return;
 
-  // Check if file size is reasonable (max 10MB)
-  if (attachment.size > 10 * 1024 * 1024) {
-    await interaction.followUp({
-      content: "⚠️ Ukuran file terlalu besar! Maksimal 10MB.",
-      flags: 64
-    });
-    return;
-  }
+    case 'addrole': {
+      const action = interaction.options.getString('action');
+      const role = interaction.options.getRole('role');
 
-  try {
-    // Download the file content
-    const response = await fetch(attachment.url);
-    if (!response.ok) {
-      throw new Error(`Failed to download file: ${response.status} ${response.statusText}`);
+      if (!config.roles[action].includes(role.id)) {
+        config.roles[action].push(role.id);
+      }
+      message = ['config.roleAdded', { role: `<@&${role.id}>`, action: PERMISSION_ACTIONS[action] }];
+      break;
     }
-    const content = await response.text();
 
-    // Validate the file first
-    const validation = validateItemsFile(content);
-    if (!validation.valid) {
-      await interaction.followUp({
-        content: `❌ ${validation.reason}`,
-        flags: 64
-      });
-      return;
+    case 'removerole': {
+      const action = interaction.options.getString('action');
+      const role = interaction.options.getRole('role');
+
+      config.roles[action] = config.roles[action].filter(roleId => roleId !== role.id);
+      message = ['config.roleRemoved', { role: `<@&${role.id}>`, action: PERMISSION_ACTIONS[action] }];
+      break;
     }
 
-    // Parse the items
-    const itemsData = parseItemsContent(content);
+    case 'addchannel': {
+      const channel = interaction.options.getChannel('channel');
 
-    if (Object.keys(itemsData).length === 0) {
-      await interaction.followUp({
-        content: "⚠️ Tidak ada item yang berhasil diparse dari file. Pastikan format file valid.",
-        flags: 64
-      });
-      return;
+      if (!config.searchChannels.includes(channel.id)) {
+        config.searchChannels.push(channel.id);
+      }
+      message = ['config.channelAdded', { channels: config.searchChannels.map(channelId => `<#${channelId}>`).join(', ') }];
+      break;
     }
 
-    // Check if guild already has items
-    if (GUILD_ITEMS_DATA[guildId] && Object.keys(GUILD_ITEMS_DATA[guildId]).length > 0) {
-      // Update existing items
-      const oldCount = Object.keys(GUILD_ITEMS_DATA[guildId]).length;
-      initializeGuildItems(guildId, itemsData);
-      const newCount = Object.keys(itemsData).length;
+    case 'removechannel': {
+      const channel = interaction.options.getChannel('channel');
 
-      let message = `✅ Database items.txt berhasil diperbarui dengan ${newCount} item! Database lama (${oldCount} item) telah diganti.`;
+      config.searchChannels = config.searchChannels.filter(channelId => channelId !== channel.id);
+      message = [config.searchChannels.length > 0 ? 'config.channelRemoved' : 'config.channelRemovedAll', { channel: `<#${channel.id}>` }];
+      break;
+    }
 
-      if (validation.warning) {
-        message += `\n⚠️ Catatan: ${validation.warning}`;
-      }
+    case 'language': {
+      const language = interaction.options.getString('language');
 
-      await interaction.followUp({
-        content: message,
-        ephemeral: false
-      });
-    } else {
-      // Add new items
-      initializeGuildItems(guildId, itemsData);
+      config.language = LOCALES[language] ? language : null;
+      message = ['config.languageSet', { language: null }];
+      break;
+    }
+
+    case 'sharing':
+      config.shareDatabase = interaction.options.getBoolean('enabled');
+      message = [config.shareDatabase ? 'config.sharingEnabled' : 'config.sharingDisabled', {}];
+      break;
 
-      let message = `✅ Database items.txt berhasil ditambahkan dengan ${Object.keys(itemsData).length} item!`;
+    case 'subscribe': {
+      const sourceGuildId = interaction.options.getString('guild_id').trim();
+      let error = null;
 
-      if (validation.warning) {
-        message += `\n⚠️ Catatan: ${validation.warning}`;
+      if (!/^\d{17,20}$/.test(sourceGuildId)) {
+        error = 'config.subscribeInvalid';
+      } else if (sourceGuildId === guildId) {
+        error = 'config.subscribeSelf';
+      } else if (!(findGuildConfig(sourceGuildId) || {}).shareDatabase || !hasItemsDatabase(sourceGuildId)) {
+        error = 'config.subscribeUnavailable';
       }
 
-      await interaction.followUp({
-        content: message,
-        ephemeral: false
-      });
+      if (error) {
+        await interaction.reply({ content: t(getInteractionLocale(interaction), error, { guildId: sourceGuildId }), flags: 64 });
+        return;
+      }
+
+      config.subscribedTo = sourceGuildId;
+      message = ['config.subscribed', { guildId: sourceGuildId }];
+      break;
     }
-  } catch (error) {
-    console.error(`[ERROR] Failed to process items.txt: ${error.message}`);
-    await interaction.followUp({
-      content: `❌ Gagal memproses file: ${error.message}`,
-      flags: 64
-    });
+
+    case 'unsubscribe':
+      config.subscribedTo = null;
+      message = ['config.unsubscribed', {}];
+      break;
+
+    case 'reset': {
+      // API tokens are handed out to other services, so they survive a reset unless asked for
+      const dropTokens = interaction.options.getBoolean('api_tokens') || false;
+
+      GUILD_CONFIG[guildId] = dropTokens ? {} : { apiTokens: config.apiTokens };
+      message = [dropTokens ? 'config.resetWithTokens' : 'config.reset', {}];
+      break;
+    }
+  }
+
+  // Resolve the locale after the change, so a new server language applies to this reply too
+  const locale = getInteractionLocale(interaction);
+  const [key, params] = message;
+
+  if (params.action) {
+    params.action = t(locale, params.action);
+  }
+  if (key === 'config.languageSet') {
+    params.language = config.language ? t(locale, `choice.language.${config.language}`) : t(locale, 'config.languageAuto');
+  }
+
+  let content = t(locale, key, params);
+
+  try {
+    await saveGuildConfig(guildId);
+  } catch (e) {
+    console.error(`[ERROR] Failed to save config for guild ${guildId}: ${e.message}`);
+    content += `\n${t(locale, 'config.saveFailed')}`;
   }
+
+  await interaction.reply({ content: content, embeds: [createConfigEmbed(guildId, locale)], flags: 64 });
 }
 
 /**
- * Handle the delitems command
+ * Handle the apitoken command
  * @param {Object} interaction - Discord interaction
  */
-async function handleDelItemsCommand(interaction) {
+async function handleApiTokenCommand(interaction) {
   const guildId = interaction.guildId;
+  const locale = getInteractionLocale(interaction);
+  const subcommand = interaction.options.getSubcommand();
+  const config = getGuildConfig(guildId);
 
-  // Check if the user has admin permissions
-  if (!interaction.memberPermissions.has('ADMINISTRATOR')) {
-    await interaction.reply({
-      content: "❌ Anda memerlukan izin Administrator untuk menjalankan perintah ini.",
-      flags: 64
-    });
-    return;
-  }
+  if (subcommand === 'list') {
+    const lines = config.apiTokens.map(token => t(locale, 'apitoken.entry', {
+      id: token.id,
+      name: token.name,
+      createdAt: formatUploadedAt(token.createdAt, locale),
+      createdBy: formatUploader(token.createdBy, locale)
+    }));
 
-  if (!GUILD_ITEMS_DATA[guildId] || Object.keys(GUILD_ITEMS_DATA[guildId]).length === 0) {
     await interaction.reply({
-      content: "⚠️ Tidak ada database items.txt yang terdaftar di server ini.",
+      content: lines.length > 0 ? lines.join('\n') : t(locale, 'apitoken.empty'),
       flags: 64
     });
     return;
   }
 
-  const itemCount = Object.keys(GUILD_ITEMS_DATA[guildId]).length;
+  let content;
 
-  // Delete the guild's items data
-  delete GUILD_ITEMS_DATA[guildId];
-  delete GUILD_ITEM_NAMES_LOWER[guildId];
+  if (subcommand === 'create') {
+    const token = crypto.randomBytes(32).toString('hex');
+    const entry = {
+      id: crypto.randomBytes(4).toString('hex'),
+      name: interaction.options.getString('name'),
+      hash: hashApiToken(token),
+      createdAt: new Date().toISOString(),
+      createdBy: {
+        id: interaction.user.id,
+        tag: interaction.user.tag
+      }
+    };
 
-  await interaction.reply({
-    content: `✅ Database items.txt berhasil dihapus dari server ini. ${itemCount} item telah dihapus.`,
-    ephemeral: false
-  });
+    config.apiTokens.push(entry);
+    content = t(locale, 'apitoken.created', { id: entry.id, name: entry.name, token: token, guildId: guildId });
+  } else {
+    const tokenId = interaction.options.getString('token_id');
+    const before = config.apiTokens.length;
+
+    config.apiTokens = config.apiTokens.filter(token => token.id !== tokenId);
+
+    if (config.apiTokens.length === before) {
+      await interaction.reply({ content: t(locale, 'apitoken.notFound', { id: tokenId }), flags: 64 });
+      return;
+    }
+
+    content = t(locale, 'apitoken.revoked', { id: tokenId });
+  }
+
+  try {
+    await saveGuildConfig(guildId);
+  } catch (e) {
+    console.error(`[ERROR] Failed to save config for guild ${guildId}: ${e.message}`);
+    content += `\n${t(locale, 'config.saveFailed')}`;
+  }
+
+  await interaction.reply({ content: content, flags: 64 });
 }
 
 /**
@@ -677,172 +4317,245 @@ async function handleDelItemsCommand(interaction) {
  */
 async function handleItemsInfoCommand(interaction) {
   const guildId = interaction.guildId;
+  const locale = getInteractionLocale(interaction);
+  const source = describeItemsSource(guildId);
+  const sourceId = source.sourceId;
 
-  if (!GUILD_ITEMS_DATA[guildId] || Object.keys(GUILD_ITEMS_DATA[guildId]).length === 0) {
+  if (source.type === 'none') {
     await interaction.reply({
-      content: "⚠️ Tidak ada database items.txt yang terdaftar di server ini. Gunakan `/additems` untuk menambahkan database items.txt.",
+      content: t(locale, 'common.noDatabaseInfo'),
       flags: 64
     });
     return;
   }
 
-  const itemsCount = Object.keys(GUILD_ITEMS_DATA[guildId]).length;
-  const seedCount = Object.values(GUILD_ITEMS_DATA[guildId]).filter(name => 
-    name.toLowerCase().includes('seed')).length;
-  const blockCount = itemsCount - seedCount;
+  const itemsCount = Object.keys(GUILD_ITEMS_DATA[sourceId]).length;
+  const meta = GUILD_ITEMS_META[sourceId] || {};
 
   const embed = new EmbedBuilder()
-    .setTitle('Informasi Database Items')
-    .setDescription(`Database items.txt untuk server ini berisi ${itemsCount} item.`)
+    .setTitle(t(locale, 'itemsinfo.title'))
+    .setDescription(t(locale, 'itemsinfo.description', { count: itemsCount }))
     .setColor(0x3498DB)
     .addFields(
-      { name: "Total Item", value: itemsCount.toString(), inline: true },
-      { name: "Blocks", value: blockCount.toString(), inline: true },
-      { name: "Seeds", value: seedCount.toString(), inline: true },
-      { name: "Contoh Items", value: sampleItems(guildId, 5) }
+      { name: t(locale, 'itemsinfo.source'), value: formatItemsSource(source, locale) },
+      { name: t(locale, 'itemsinfo.total'), value: itemsCount.toString(), inline: true },
+      { name: t(locale, 'itemsinfo.uploadedAt'), value: formatUploadedAt(meta.uploadedAt, locale), inline: true },
+      { name: t(locale, 'itemsinfo.uploadedBy'), value: formatUploader(meta.uploadedBy, locale), inline: true },
+      { name: t(locale, 'itemsinfo.categories'), value: formatCategoryBreakdown(GUILD_ITEMS_DATA[sourceId], locale) },
+      { name: t(locale, 'itemsinfo.samples'), value: sampleItems(sourceId, 5, locale) }
     );
 
   await interaction.reply({ embeds: [embed] });
 }
 
+/**
+ * Describe where a guild's active database comes from
+ * @param {Object} source - Result of describeItemsSource
+ * @param {string} locale - Locale code
+ * @returns {string} - Formatted source
+ */
+function formatItemsSource(source, locale) {
+  if (source.type === 'shared') {
+    const guild = client.guilds.cache.get(source.sourceId);
+    return t(locale, 'itemsinfo.sourceShared', { guild: guild ? guild.name : source.sourceId, guildId: source.sourceId });
+  } else if (source.type === 'default') {
+    return t(locale, 'itemsinfo.sourceDefault', { file: GUILD_ITEMS_META[DEFAULT_DATABASE_ID].fileName });
+  }
+  return t(locale, 'itemsinfo.sourceOwn');
+}
+
+/**
+ * Handle the diffitems command
+ * @param {Object} interaction - Discord interaction
+ */
+async function handleDiffItemsCommand(interaction) {
+  const guildId = interaction.guildId;
+  const locale = getInteractionLocale(interaction);
+  const meta = GUILD_ITEMS_META[guildId] || {};
+
+  if (!meta.lastDiff) {
+    await interaction.reply({
+      content: t(locale, 'diff.none'),
+      flags: 64
+    });
+    return;
+  }
+
+  await interaction.reply({
+    embeds: [createDiffEmbed(meta.lastDiff, locale)],
+    files: [createDiffAttachment(meta.lastDiff)]
+  });
+}
+
+/**
+ * Format an upload timestamp as a Discord timestamp
+ * @param {string} uploadedAt - ISO date string of the upload
+ * @param {string} locale - Locale code
+ * @returns {string} - Formatted timestamp
+ */
+function formatUploadedAt(uploadedAt, locale = DEFAULT_LOCALE) {
+  const time = Date.parse(uploadedAt);
+  if (isNaN(time)) {
+    return t(locale, 'common.unknown');
+  }
+
+  const unix = Math.floor(time / 1000);
+  return `<t:${unix}:F> (<t:${unix}:R>)`;
+}
+
+/**
+ * Format the uploader of a database as a user mention
+ * @param {Object} uploadedBy - Uploader info with id and tag
+ * @param {string} locale - Locale code
+ * @returns {string} - Formatted uploader
+ */
+function formatUploader(uploadedBy, locale = DEFAULT_LOCALE) {
+  if (!uploadedBy || !uploadedBy.id) {
+    return t(locale, 'common.unknown');
+  }
+
+  return `<@${uploadedBy.id}> (${uploadedBy.tag})`;
+}
+
+/**
+ * Format the per-category item counts shown by /itemsinfo
+ * @param {Object} itemsData - Dictionary of item IDs to item records
+ * @param {string} locale - Locale code
+ * @returns {string} - One line per category that has items
+ */
+function formatCategoryBreakdown(itemsData, locale) {
+  const counts = countItemCategories(itemsData);
+
+  return ITEM_CATEGORIES
+    .filter(category => counts[category] > 0)
+    .map(category => `${t(locale, `choice.type.${category}`)}: ${counts[category]}`)
+    .join('\n') || t(locale, 'common.none');
+}
+
 /**
  * Get a sample of items from the guild's database
  * @param {string} guildId - Discord guild ID
  * @param {number} count - Number of sample items to get
+ * @param {string} locale - Locale code
  * @returns {string} - String with sample items
  */
-function sampleItems(guildId, count) {
+function sampleItems(guildId, count, locale = DEFAULT_LOCALE) {
   if (!GUILD_ITEMS_DATA[guildId]) {
-    return "No items available";
+    return t(locale, 'common.noItems');
   }
 
   const items = Object.entries(GUILD_ITEMS_DATA[guildId])
     .slice(0, count)
-    .map(([id, name]) => `• \`${id}\`: ${name}`)
+    .map(([id, item]) => `• \`${id}\`: ${item.name}`)
     .join('\n');
 
-  return items || "No items available";
+  return items || t(locale, 'common.noItems');
 }
 
-// Handle button interactions for pagination
-client.on('interactionCreate', async interaction => {
-  if (!interaction.isButton()) return;
+/**
+ * Handle pagination buttons and the jump-to-page menu of a search result
+ * @param {Object} interaction - Discord button or select menu interaction
+ */
+async function handleSearchPagination(interaction) {
+  const [, action, sessionId] = interaction.customId.split('_');
+  const session = SEARCH_SESSIONS.get(sessionId);
 
-  const customId = interaction.customId;
+  // Sessions are lost on expiry or restart, so switch the old buttons off
+  if (!session) {
+    await interaction.update({ components: disableMessageComponents(interaction.message) });
+    await interaction.followUp({
+      content: t(getInteractionLocale(interaction), 'search.sessionExpired'),
+      flags: 64
+    });
+    return;
+  }
 
-  // Check if this is a search pagination button
-  if (customId.startsWith('search_')) {
-    const parts = customId.split('_');
-    const action = parts[1]; // first, prev, next, last
-    const query = parts[2];
-    const type = parts[3];
+  // Anyone may save a search they can see, it goes to their own favorites
+  if (action === 'favorite') {
+    const favorites = findUserFavorites(interaction.guildId, interaction.user.id);
+    const saved = favorites.searches.find(search => search.query === session.query && search.type === session.type);
 
-    // Ignore the indicator button
-    if (action === 'indicator') {
-      await interaction.deferUpdate();
+    if (saved) {
+      await interaction.reply({ content: t(getInteractionLocale(interaction), 'favorites.searchAlreadySaved', { name: saved.name }), flags: 64 });
       return;
     }
 
-    // Get the current page from the indicator button
-    let currentPage = 1;
-    let totalPages = 1;
-
-    for (const component of interaction.message.components[0].components) {
-      if (component.customId && component.customId.startsWith('search_indicator_')) {
-        const pageParts = component.label.split('/');
-        currentPage = parseInt(pageParts[0]);
-        totalPages = parseInt(pageParts[1]);
-        break;
-      }
-    }
-
-    let newPage = currentPage;
+    const name = getFreeSearchName(favorites, session.query);
+    const key = saveUserSearch(interaction.guildId, interaction.user.id, name, session.query, session.type);
+    await replyFavoritesChange(interaction, key, { name: name });
+    return;
+  }
 
-    // Determine the new page based on the button clicked
-    switch (action) {
-      case 'first':
-        newPage = 1;
-        break;
-      case 'prev':
-        newPage = Math.max(1, currentPage - 1);
-        break;
-      case 'next':
-        newPage = Math.min(totalPages, currentPage + 1);
-        break;
-      case 'last':
-        newPage = totalPages;
-        break;
-    }
+  if (interaction.user.id !== session.userId) {
+    await interaction.reply({
+      content: t(getInteractionLocale(interaction), 'search.notOwner'),
+      flags: 64
+    });
+    return;
+  }
 
-    // No change in page, do nothing
-    if (newPage === currentPage) {
-      await interaction.deferUpdate();
-      return;
-    }
+  // Determine the new page based on the component used
+  switch (action) {
+    case 'first':
+      session.page = 1;
+      break;
+    case 'prev':
+      session.page = Math.max(1, session.page - 1);
+      break;
+    case 'next':
+      session.page = Math.min(session.totalPages, session.page + 1);
+      break;
+    case 'last':
+      session.page = session.totalPages;
+      break;
+    case 'jump':
+      session.page = parseInt(interaction.values[0]) || session.page;
+      break;
+  }
 
-    await interaction.deferUpdate();
+  touchSearchSession(session);
+  session.message = interaction.message;
 
-    const guildId = interaction.guildId;
+  await interaction.update(renderSearchSession(session));
+}
 
-    // Get the matches again
-    const matches = findItemsByQuery(guildId, query, type);
-    const ITEMS_PER_PAGE = 50;
+// Handle button and select menu interactions for pagination, item views, favorites and uploads
+client.on('interactionCreate', async interaction => {
+  if (!interaction.isButton() && !interaction.isStringSelectMenu()) return;
 
-    // Create a new embed for the new page
-    const { embed, currentPage: updatedCurrentPage } = createPaginatedEmbed(
-      matches, newPage, ITEMS_PER_PAGE, query, type
-    );
+  try {
+    // Cancelling an upload only ever frees resources, so it is never limited
+    if (!interaction.customId.startsWith('upload_cancel_') && !(await ensureRateLimit(interaction, 'command'))) return;
 
-    // Update the pagination buttons
-    const row = {
-      type: 1, // ACTION_ROW
-      components: [
-        {
-          type: 2, // BUTTON
-          style: 2, // SECONDARY
-          custom_id: `search_first_${query}_${type}`,
-          label: '<<',
-          disabled: updatedCurrentPage === 1
-        },
-        {
-          type: 2, // BUTTON
-          style: 2, // SECONDARY
-          custom_id: `search_prev_${query}_${type}`,
-          label: '<',
-          disabled: updatedCurrentPage === 1
-        },
-        {
-          type: 2, // BUTTON
-          style: 2, // SECONDARY
-          custom_id: `search_indicator_${updatedCurrentPage}_${totalPages}`,
-          label: `${updatedCurrentPage}/${totalPages}`,
-          disabled: true
-        },
-        {
-          type: 2, // BUTTON
-          style: 2, // SECONDARY
-          custom_id: `search_next_${query}_${type}`,
-          label: '>',
-          disabled: updatedCurrentPage === totalPages
-        },
-        {
-          type: 2, // BUTTON
-          style: 2, // SECONDARY
-          custom_id: `search_last_${query}_${type}`,
-          label: '>>',
-          disabled: updatedCurrentPage === totalPages
-        }
-      ]
-    };
+    // Search, item and favorite buttons follow the same channel restriction as the commands that sent them
+    if (SEARCH_COMPONENT_PREFIXES.some(prefix => interaction.customId.startsWith(prefix)) && !(await ensureSearchChannel(interaction))) return;
 
-    // Update the message
-    await interaction.message.edit({
-      embeds: [embed],
-      components: [row]
-    });
+    // Check if this is a search pagination component
+    if (interaction.customId.startsWith('search_')) {
+      await handleSearchPagination(interaction);
+    } else if (interaction.customId.startsWith('item_view_')) {
+      await handleItemViewButton(interaction);
+    } else if (interaction.customId.startsWith('item_favorite_')) {
+      await handleItemFavoriteButton(interaction);
+    } else if (interaction.customId.startsWith('upload_cancel_')) {
+      await handleUploadCancel(interaction);
+    }
+  } catch (e) {
+    console.log(`[ERROR] Component ${interaction.customId} failed: ${e.stack || e.message}`);
+    await replyCommandFailure(interaction);
   }
 });
 
+module.exports = {
+  parseItemsContent,
+  parseItemsDat,
+  validateItemsFile,
+  initializeGuildItems,
+  findItemsByQuery,
+  scanItemsByQuery,
+  searchIndexedItems
+};
+
 // Start the bot
 const TOKEN = process.env.TOKEN; // Use environment variable for security
 
@@ -0,0 +1,41 @@
+// Locale catalogs for user-facing text, shared by the bot and the command-line tool
+const LOCALES = {
+  id: require('../locales/id.json'),
+  en: require('../locales/en.json')
+};
+const DEFAULT_LOCALE = LOCALES[process.env.DEFAULT_LOCALE] ? process.env.DEFAULT_LOCALE : 'id';
+
+/**
+ * Get a translated string from the locale catalogs
+ * @param {string} locale - Locale code, such as 'id' or 'en'
+ * @param {string} key - Catalog key
+ * @param {Object} params - Values for the {placeholders} in the string
+ * @returns {string} - Translated string
+ */
+function t(locale, key, params = {}) {
+  const catalog = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const template = catalog[key] !== undefined ? catalog[key] : (LOCALES[DEFAULT_LOCALE][key] || key);
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+}
+
+/**
+ * Map a Discord locale such as 'en-US' to a catalog locale
+ * @param {string} discordLocale - Discord locale
+ * @returns {string|null} - Catalog locale, or null if there is no catalog for it
+ */
+function resolveLocale(discordLocale) {
+  if (!discordLocale) {
+    return null;
+  }
+
+  const base = discordLocale.split('-')[0];
+  return LOCALES[base] ? base : null;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  t,
+  resolveLocale
+};
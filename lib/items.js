@@ -0,0 +1,806 @@
+// Item records and parsers for items.txt and items.dat files.
+// Kept free of Discord dependencies so the upload worker and the command-line tool can load it.
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+/**
+ * Column layout of an add_item line, in order after the leading 'add_item' keyword.
+ * Every column keeps its position even when the field is empty. Display labels are
+ * the item.field.<key> catalog entries; detail fields are listed in /item embeds.
+ */
+const ITEM_FIELDS = [
+  { key: 'id', type: 'int' },
+  { key: 'editableType', type: 'int', detail: true },
+  { key: 'itemCategory', type: 'int', detail: true },
+  { key: 'actionType', type: 'int', detail: true },
+  { key: 'hitSoundType', type: 'int', detail: true },
+  { key: 'name', type: 'string' },
+  { key: 'texture', type: 'string', detail: true },
+  { key: 'textureHash', type: 'int', detail: true },
+  { key: 'itemKind', type: 'int', detail: true },
+  { key: 'val1', type: 'int' },
+  { key: 'textureX', type: 'int' },
+  { key: 'textureY', type: 'int' },
+  { key: 'spreadType', type: 'int', detail: true },
+  { key: 'isStripeyWallpaper', type: 'int' },
+  { key: 'collisionType', type: 'int', detail: true },
+  { key: 'breakHits', type: 'int', detail: true },
+  { key: 'restoreTime', type: 'int', detail: true },
+  { key: 'clothingType', type: 'int', detail: true },
+  { key: 'rarity', type: 'int', detail: true },
+  { key: 'maxAmount', type: 'int', detail: true },
+  { key: 'extraFile', type: 'string', detail: true },
+  { key: 'extraFileHash', type: 'int' },
+  { key: 'audioVolume', type: 'int' },
+  { key: 'petName', type: 'string' },
+  { key: 'petPrefix', type: 'string' },
+  { key: 'petSuffix', type: 'string' },
+  { key: 'petAbility', type: 'string' },
+  { key: 'seedBase', type: 'int' },
+  { key: 'seedOverlay', type: 'int' },
+  { key: 'treeBase', type: 'int' },
+  { key: 'treeLeaves', type: 'int' },
+  { key: 'seedColor', type: 'string' },
+  { key: 'seedOverlayColor', type: 'string' },
+  { key: 'growTime', type: 'int', detail: true },
+  { key: 'val2', type: 'int' },
+  { key: 'isRayman', type: 'int' },
+  { key: 'extraOptions', type: 'string' },
+  { key: 'texture2', type: 'string' },
+  { key: 'extraOptions2', type: 'string' },
+  { key: 'punchOptions', type: 'string' }
+];
+
+// Column index of the item name (column 0 is the 'add_item' keyword)
+const ITEM_NAME_COLUMN = ITEM_FIELDS.findIndex(field => field.key === 'name') + 1;
+
+/**
+ * Create an item record with every field set to its default value
+ * @param {number} itemId - Item ID
+ * @param {string} itemName - Item name
+ * @returns {Object} - Item record
+ */
+function createItemRecord(itemId, itemName) {
+  const record = {};
+
+  for (const field of ITEM_FIELDS) {
+    record[field.key] = field.type === 'int' ? 0 : '';
+  }
+
+  record.id = itemId;
+  record.name = itemName;
+  return record;
+}
+
+// Item categories in display order, used by /search type and /itemsinfo
+const ITEM_CATEGORIES = ['foreground', 'background', 'seed', 'clothing', 'consumable', 'lock', 'door', 'sign', 'tool', 'other'];
+
+// Category of each known add_item action type; anything else is 'other'
+const ACTION_TYPE_CATEGORIES = {
+  0: 'tool', // Fist
+  1: 'tool', // Wrench
+  2: 'door', // User door
+  3: 'lock',
+  6: 'foreground', // Deadly block
+  7: 'foreground', // Trampoline
+  8: 'consumable',
+  9: 'door', // Gateway
+  10: 'sign',
+  11: 'foreground', // Foreground with sound effect
+  12: 'foreground', // Toggleable block
+  13: 'door', // Main door
+  14: 'foreground', // Platform
+  15: 'foreground', // Bedrock
+  16: 'foreground', // Lava
+  17: 'foreground',
+  18: 'background',
+  19: 'seed',
+  20: 'clothing',
+  21: 'foreground', // Animated foreground
+  22: 'background', // Background with sound effect
+  23: 'background', // Art wall
+  24: 'foreground', // Bouncy block
+  25: 'foreground', // Spikes
+  26: 'door', // Portal
+  29: 'foreground', // Ice
+  31: 'foreground' // Switcheroo
+};
+
+/**
+ * Get the category of an item from its action type
+ * @param {Object} item - Item record
+ * @returns {string} - One of ITEM_CATEGORIES
+ */
+function getItemCategory(item) {
+  // Records upgraded from name-only databases keep every field at its default, so their
+  // action type 0 says nothing; real add_item lines and items.dat records always have a texture
+  if (item.actionType === 0 && !item.texture) {
+    return 'other';
+  }
+
+  return ACTION_TYPE_CATEGORIES[item.actionType] || 'other';
+}
+
+/**
+ * Count a guild's items per category
+ * @param {Object} itemsData - Dictionary of item IDs to item records
+ * @returns {Object} - Map of category to item count, in ITEM_CATEGORIES order
+ */
+function countItemCategories(itemsData) {
+  const counts = {};
+  ITEM_CATEGORIES.forEach(category => {
+    counts[category] = 0;
+  });
+
+  for (const item of Object.values(itemsData)) {
+    counts[getItemCategory(item)]++;
+  }
+
+  return counts;
+}
+
+/**
+ * Get the names of a database's items
+ * @param {Object} itemsData - Dictionary of item IDs to item records
+ * @returns {Object} - Dictionary of item IDs to item names
+ */
+function getItemNames(itemsData) {
+  const names = {};
+
+  for (const [itemId, item] of Object.entries(itemsData)) {
+    names[itemId] = item.name;
+  }
+
+  return names;
+}
+
+/**
+ * Compare two item databases by name
+ * @param {Object} oldNames - Dictionary of item IDs to item names before the upload
+ * @param {Object} newNames - Dictionary of item IDs to item names after the upload
+ * @returns {Object} - Diff with added, removed and renamed items
+ */
+function createItemsDiff(oldNames, newNames) {
+  const diff = {
+    createdAt: new Date().toISOString(),
+    oldCount: Object.keys(oldNames).length,
+    newCount: Object.keys(newNames).length,
+    added: [],
+    removed: [],
+    renamed: []
+  };
+
+  for (const [itemId, name] of Object.entries(newNames)) {
+    const oldName = oldNames[itemId];
+
+    if (oldName === undefined) {
+      diff.added.push([parseInt(itemId), name]);
+    } else if (oldName !== name) {
+      diff.renamed.push([parseInt(itemId), oldName, name]);
+    }
+  }
+
+  for (const [itemId, name] of Object.entries(oldNames)) {
+    if (newNames[itemId] === undefined) {
+      diff.removed.push([parseInt(itemId), name]);
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Parse a single add_item line into an item record
+ * @param {Array} parts - Fields of the line split on '\\', including the 'add_item' keyword
+ * @returns {Object} - Item record
+ */
+function parseItemRecord(parts) {
+  const record = {};
+
+  ITEM_FIELDS.forEach((field, index) => {
+    const raw = (parts[index + 1] || '').trim();
+
+    if (field.type === 'int') {
+      const value = parseInt(raw);
+      record[field.key] = isNaN(value) ? 0 : value;
+    } else {
+      record[field.key] = raw;
+    }
+  });
+
+  return record;
+}
+
+/**
+ * Create an empty report that a parser fills in while reading an items file
+ * @param {string} format - 'txt' or 'dat'
+ * @returns {Object} - Parse report
+ */
+function createParseReport(format) {
+  return {
+    format: format,
+    totalLines: 0,
+    addItemLines: 0,
+    parsedCount: 0,
+    errors: [],
+    invalidIds: [],
+    duplicates: [],
+    gaps: []
+  };
+}
+
+/**
+ * Find the ranges of missing IDs between the lowest and highest item ID
+ * @param {Array} itemIds - Item IDs, as numbers or strings
+ * @returns {Array} - Missing ranges as { from, to }, inclusive
+ */
+function findIdGaps(itemIds) {
+  const sorted = itemIds.map(Number).sort((a, b) => a - b);
+  const gaps = [];
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] > sorted[i - 1] + 1) {
+      gaps.push({ from: sorted[i - 1] + 1, to: sorted[i] - 1 });
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * Count the problems in a parse report that strict uploads reject
+ * @param {Object} report - Parse report
+ * @returns {number} - Number of line errors, invalid IDs and duplicate IDs
+ */
+function countParseErrors(report) {
+  return report.errors.length + report.invalidIds.length + report.duplicates.length;
+}
+
+/**
+ * Create an incremental items.txt parser that accepts the file in chunks,
+ * so large uploads can be parsed while they download
+ * @param {Object} report - Parse report to fill in, see createParseReport
+ * @param {Object} options - { quiet } to leave out the console warnings and summary
+ * @returns {Object} - Parser with write(text) and end() methods; end() returns the items
+ */
+function createItemsTextParser(report = createParseReport('txt'), options = {}) {
+  const log = options.quiet ? () => {} : console.log;
+  const itemsData = {};
+  const itemLines = {};
+
+  let remainder = '';
+  let lineCount = 0;
+  let successCount = 0;
+  let errorCount = 0;
+
+  /**
+   * Parse one line of the file
+   * @param {string} line - Raw line without its line break
+   */
+  function parseLine(line) {
+    lineCount++;
+    const trimmedLine = line.trim();
+
+    if (!trimmedLine.startsWith('add_item')) {
+      return;
+    }
+
+    report.addItemLines++;
+
+    // Keep empty fields so every column stays at a fixed position
+    const parts = trimmedLine.split('\\');
+
+    // Skip if we don't have enough parts to reach the name column
+    if (parts.length <= ITEM_NAME_COLUMN) {
+      errorCount++;
+      report.errors.push({ line: lineCount, message: `Insufficient parts (${parts.length}), the name is column ${ITEM_NAME_COLUMN + 1}` });
+      log(`[WARN] Line ${lineCount}: Insufficient parts (${parts.length}) - ${trimmedLine.substring(0, 60)}...`);
+      return;
+    }
+
+    // Skip lines whose ID is not a number
+    if (!/^\d+$/.test(parts[1].trim())) {
+      errorCount++;
+      report.invalidIds.push({ line: lineCount, value: parts[1] });
+      log(`[WARN] Line ${lineCount}: Invalid item ID '${parts[1]}'`);
+      return;
+    }
+
+    try {
+      const item = parseItemRecord(parts);
+
+      // Skip empty names
+      if (!item.name) {
+        errorCount++;
+        report.errors.push({ line: lineCount, message: `Empty item name for ID ${item.id}` });
+        log(`[WARN] Line ${lineCount}: Empty item name - ID ${item.id}`);
+        return;
+      }
+
+      // A repeated ID replaces the earlier line, as it always has, but is reported
+      if (itemLines[item.id] !== undefined) {
+        report.duplicates.push({ id: item.id, line: lineCount, firstLine: itemLines[item.id] });
+        log(`[WARN] Line ${lineCount}: Duplicate item ID ${item.id}, first seen on line ${itemLines[item.id]}`);
+      } else {
+        successCount++;
+      }
+
+      // Store the item
+      itemsData[item.id] = item;
+      itemLines[item.id] = lineCount;
+      report.parsedCount = successCount;
+    } catch (e) {
+      errorCount++;
+      report.errors.push({ line: lineCount, message: `Failed to parse: ${e.message}` });
+      log(`[ERROR] Line ${lineCount}: Failed to parse - ${e.message} - ${trimmedLine.substring(0, 60)}...`);
+    }
+  }
+
+  return {
+    /**
+     * Parse every complete line in a chunk, keeping a trailing partial line for the next chunk
+     * @param {string} text - Next chunk of the file
+     */
+    write(text) {
+      const lines = (remainder + text).split('\n');
+      remainder = lines.pop();
+      lines.forEach(parseLine);
+    },
+
+    /**
+     * Parse the last line and finish the report
+     * @returns {Object} - Dictionary of item IDs to item records
+     */
+    end() {
+      parseLine(remainder);
+      remainder = '';
+
+      report.totalLines = lineCount;
+      report.parsedCount = successCount;
+      report.gaps = findIdGaps(Object.keys(itemsData));
+
+      log(`\n[SUMMARY] Parsing complete:`);
+      log(`- Total lines processed: ${lineCount}`);
+      log(`- Items successfully parsed: ${successCount}`);
+      log(`- Lines with errors: ${errorCount}`);
+
+      return itemsData;
+    }
+  };
+}
+
+/**
+ * Parse the items.txt content and return a dictionary of item IDs to item records
+ * @param {string} content - Content of the items file
+ * @param {Object} report - Parse report to fill in, see createParseReport
+ * @param {Object} options - { quiet } to leave out the console warnings and summary
+ * @returns {Object} - Dictionary of item IDs to item records
+ */
+function parseItemsContent(content, report = createParseReport('txt'), options = {}) {
+  try {
+    const parser = createItemsTextParser(report, options);
+    parser.write(content);
+    return parser.end();
+  } catch (e) {
+    if (!options.quiet) {
+      console.log(`[ERROR] Error reading content: ${e.message}`);
+    }
+    return {};
+  }
+}
+
+// Binary items.dat layout support
+const ITEMS_DAT_MIN_VERSION = 11;
+const ITEMS_DAT_MAX_VERSION = 22;
+const ITEMS_DAT_NAME_KEY = 'PBG892FXX982ABC*';
+
+/**
+ * Check whether a file looks like a binary items.dat by its version header
+ * @param {Buffer} buffer - Raw file content
+ * @returns {boolean} - True if the header matches an items.dat file
+ */
+function isItemsDatBuffer(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 6) {
+    return false;
+  }
+
+  // Text files start with printable characters, which read as a huge version number
+  const version = buffer.readUInt16LE(0);
+  const itemCount = buffer.readInt32LE(2);
+
+  return version > 0 && version < 100 && itemCount > 0 && itemCount < 1000000;
+}
+
+/**
+ * Create a sequential little-endian reader over a buffer
+ * @param {Buffer} buffer - Buffer to read from
+ * @returns {Object} - Reader with typed read methods
+ */
+function createBufferReader(buffer) {
+  let offset = 0;
+
+  const ensure = (size) => {
+    if (offset + size > buffer.length) {
+      const error = new Error(`Unexpected end of items.dat at byte ${offset}`);
+      error.code = 'ITEMS_DAT_TRUNCATED';
+      throw error;
+    }
+  };
+
+  return {
+    get offset() {
+      return offset;
+    },
+    u8() {
+      ensure(1);
+      return buffer.readUInt8(offset++);
+    },
+    u16() {
+      ensure(2);
+      const value = buffer.readUInt16LE(offset);
+      offset += 2;
+      return value;
+    },
+    i32() {
+      ensure(4);
+      const value = buffer.readInt32LE(offset);
+      offset += 4;
+      return value;
+    },
+    u32() {
+      ensure(4);
+      const value = buffer.readUInt32LE(offset);
+      offset += 4;
+      return value;
+    },
+    bytes(size) {
+      ensure(size);
+      const value = buffer.subarray(offset, offset + size);
+      offset += size;
+      return value;
+    },
+    string() {
+      const length = this.u16();
+      return this.bytes(length).toString('latin1');
+    },
+    skip(size) {
+      ensure(size);
+      offset += size;
+    }
+  };
+}
+
+/**
+ * Decode an XOR-obfuscated item name from items.dat
+ * @param {Buffer} raw - Obfuscated name bytes
+ * @param {number} itemId - Item ID, used as the key offset
+ * @returns {string} - Decoded item name
+ */
+function decodeItemDatName(raw, itemId) {
+  let name = '';
+
+  for (let i = 0; i < raw.length; i++) {
+    const keyChar = ITEMS_DAT_NAME_KEY.charCodeAt((i + itemId) % ITEMS_DAT_NAME_KEY.length);
+    name += String.fromCharCode(raw[i] ^ keyChar);
+  }
+
+  return name;
+}
+
+/**
+ * Format an ARGB color from items.dat the same way add_item lines store it
+ * @param {number} argb - Unsigned 32-bit ARGB color
+ * @returns {string} - Color as 'r,g,b,a'
+ */
+function formatItemDatColor(argb) {
+  const a = (argb >>> 24) & 0xFF;
+  const r = (argb >>> 16) & 0xFF;
+  const g = (argb >>> 8) & 0xFF;
+  const b = argb & 0xFF;
+  return `${r},${g},${b},${a}`;
+}
+
+/**
+ * Read one item record from items.dat
+ * @param {Object} reader - Reader positioned at the start of the record
+ * @param {number} version - items.dat version
+ * @returns {Object} - Item record
+ */
+function readItemDatRecord(reader, version) {
+  const item = {};
+
+  item.id = reader.i32();
+  item.editableType = reader.u8();
+  item.itemCategory = reader.u8();
+  item.actionType = reader.u8();
+  item.hitSoundType = reader.u8();
+  item.name = decodeItemDatName(reader.bytes(reader.u16()), item.id);
+  item.texture = reader.string();
+  item.textureHash = reader.i32();
+  item.itemKind = reader.u8();
+  item.val1 = reader.i32();
+  item.textureX = reader.u8();
+  item.textureY = reader.u8();
+  item.spreadType = reader.u8();
+  item.isStripeyWallpaper = reader.u8();
+  item.collisionType = reader.u8();
+  item.breakHits = reader.u8() / 6;
+  item.restoreTime = reader.i32();
+  item.clothingType = reader.u8();
+  item.rarity = reader.u16();
+  item.maxAmount = reader.u8();
+  item.extraFile = reader.string();
+  item.extraFileHash = reader.i32();
+  item.audioVolume = reader.i32();
+  item.petName = reader.string();
+  item.petPrefix = reader.string();
+  item.petSuffix = reader.string();
+  item.petAbility = reader.string();
+  item.seedBase = reader.u8();
+  item.seedOverlay = reader.u8();
+  item.treeBase = reader.u8();
+  item.treeLeaves = reader.u8();
+  item.seedColor = formatItemDatColor(reader.u32());
+  item.seedOverlayColor = formatItemDatColor(reader.u32());
+
+  // A non-zero ingredient field holds the two splice ingredient IDs
+  const ingredients = reader.u32();
+  if (ingredients !== 0) {
+    item.spliceIngredients = [ingredients & 0xFFFF, ingredients >>> 16];
+  }
+
+  item.growTime = reader.i32();
+  item.val2 = reader.u16();
+  item.isRayman = reader.u16();
+  item.extraOptions = reader.string();
+  item.texture2 = reader.string();
+  item.extraOptions2 = reader.string();
+  reader.skip(80); // Reserved
+
+  item.punchOptions = reader.string();
+
+  // Fields added by newer versions that the bot does not use
+  if (version >= 12) reader.skip(13);
+  if (version >= 13) reader.skip(4);
+  if (version >= 14) reader.skip(4);
+  if (version >= 15) {
+    reader.skip(25);
+    reader.string();
+  }
+  if (version >= 16) reader.string();
+  if (version >= 17) reader.skip(4);
+  if (version >= 18) reader.skip(4);
+  if (version >= 19) reader.skip(9);
+  if (version >= 21) reader.skip(2);
+  if (version >= 22) reader.string();
+
+  return item;
+}
+
+/**
+ * Create an incremental items.dat parser that accepts the file in chunks,
+ * so large uploads can be decoded while they download
+ * @param {Object} report - Parse report to fill in, see createParseReport
+ * @param {Object} options - { quiet } to leave out the console summary
+ * @returns {Object} - Parser with write(buffer) and end() methods; end() returns the items
+ */
+function createItemsDatParser(report = createParseReport('dat'), options = {}) {
+  const log = options.quiet ? () => {} : console.log;
+  const itemsData = {};
+
+  let pending = Buffer.alloc(0);
+  let consumedBytes = 0;
+  let version = null;
+  let itemCount = 0;
+  let position = 0;
+
+  return {
+    /**
+     * Decode every complete record in a chunk, keeping a trailing partial record for the next chunk
+     * @param {Buffer} buffer - Next chunk of the file
+     */
+    write(buffer) {
+      pending = pending.length > 0 ? Buffer.concat([pending, buffer]) : buffer;
+      const reader = createBufferReader(pending);
+      let consumed = 0;
+
+      try {
+        if (version === null) {
+          const headerVersion = reader.u16();
+          const headerCount = reader.i32();
+
+          if (headerVersion < ITEMS_DAT_MIN_VERSION || headerVersion > ITEMS_DAT_MAX_VERSION) {
+            throw new Error(`Unsupported items.dat version ${headerVersion}`);
+          }
+
+          version = headerVersion;
+          itemCount = headerCount;
+          consumed = reader.offset;
+        }
+
+        while (position < itemCount) {
+          const item = readItemDatRecord(reader, version);
+
+          // Items are stored in ID order, anything else means the layout was misread
+          if (item.id !== position) {
+            throw new Error(`Unexpected item ID ${item.id} at position ${position}`);
+          }
+
+          position++;
+          consumed = reader.offset;
+
+          // Records have no lines, so errors point at the record number instead
+          if (item.name) {
+            itemsData[item.id] = item;
+            report.parsedCount++;
+          } else {
+            report.errors.push({ record: position, message: `Empty item name for ID ${item.id}` });
+            log(`[WARN] Record ${position}: Empty item name - ID ${item.id}`);
+          }
+        }
+      } catch (e) {
+        // A record cut off by the end of the chunk is read again once the rest arrives
+        if (e.code !== 'ITEMS_DAT_TRUNCATED') {
+          throw e;
+        }
+      }
+
+      consumedBytes += consumed;
+      pending = pending.subarray(consumed);
+    },
+
+    /**
+     * Check that every record was read and finish the report
+     * @returns {Object} - Dictionary of item IDs to item records
+     */
+    end() {
+      if (version === null || position < itemCount) {
+        throw new Error(`Unexpected end of items.dat at byte ${consumedBytes + pending.length}`);
+      }
+
+      // IDs are always in order, so the only gaps are items skipped for having no name
+      report.parsedCount = Object.keys(itemsData).length;
+      report.gaps = findIdGaps(Object.keys(itemsData));
+
+      log(`\n[SUMMARY] items.dat v${version} decoded: ${report.parsedCount}/${itemCount} items`);
+
+      return itemsData;
+    }
+  };
+}
+
+/**
+ * Parse a binary items.dat file and return a dictionary of item IDs to item records
+ * @param {Buffer} buffer - Raw items.dat content
+ * @param {Object} report - Parse report to fill in, see createParseReport
+ * @param {Object} options - { quiet } to leave out the console summary
+ * @returns {Object} - Dictionary of item IDs to item records
+ */
+function parseItemsDat(buffer, report = createParseReport('dat'), options = {}) {
+  const parser = createItemsDatParser(report, options);
+  parser.write(buffer);
+  return parser.end();
+}
+
+/**
+ * Format a parse report as plain text
+ * @param {Object} report - Parse report
+ * @param {string} fileName - Name of the parsed file
+ * @returns {string} - Report text
+ */
+function formatParseReport(report, fileName) {
+  const lines = [
+    `Validation report - ${fileName} (${report.format})`,
+    report.format === 'txt'
+      ? `Lines: ${report.totalLines}, add_item lines: ${report.addItemLines}, items parsed: ${report.parsedCount}`
+      : `Items parsed: ${report.parsedCount}`,
+    '',
+    `[ERRORS] (${report.errors.length})`,
+    ...report.errors.map(error => `${error.record !== undefined ? `Record ${error.record}` : `Line ${error.line}`}: ${error.message}`),
+    '',
+    `[INVALID IDS] (${report.invalidIds.length})`,
+    ...report.invalidIds.map(entry => `Line ${entry.line}: '${entry.value}' is not a number`),
+    '',
+    `[DUPLICATE IDS] (${report.duplicates.length})`,
+    ...report.duplicates.map(entry => `ID ${entry.id}: line ${entry.line} replaces line ${entry.firstLine}`),
+    '',
+    `[ID GAPS] (${report.gaps.length})`,
+    ...report.gaps.map(gap => gap.from === gap.to ? `${gap.from}` : `${gap.from}-${gap.to}`)
+  ];
+
+  return lines.join('\n');
+}
+
+/**
+ * Validate if file content is a proper items.txt or items.dat format
+ * @param {Buffer|string} content - Content of the file
+ * @param {string} locale - Locale of the returned reason and warning
+ * @returns {Object} - Validation result
+ */
+function validateItemsFile(content, locale = DEFAULT_LOCALE) {
+  // Binary items.dat files are recognized by their version header
+  if (isItemsDatBuffer(content)) {
+    return checkItemsFormat({ format: 'dat', version: content.readUInt16LE(0) }, locale);
+  }
+
+  if (Buffer.isBuffer(content)) {
+    content = content.toString('utf8');
+  }
+
+  // Check if file contains at least some add_item entries
+  const lines = content.split('\n');
+  let addItemCount = 0;
+
+  for (const line of lines) {
+    if (line.trim().startsWith('add_item')) {
+      addItemCount++;
+      if (addItemCount >= 5) {  // If we find at least 5 add_item entries, consider it valid
+        break;
+      }
+    }
+  }
+
+  return checkItemsFormat({ format: 'txt', addItemCount: addItemCount }, locale);
+}
+
+/**
+ * Judge an items file from what was read of it, shared by validateItemsFile and the upload worker
+ * @param {Object} summary - { format: 'dat', version } or { format: 'txt', addItemCount }
+ * @param {string} locale - Locale of the returned reason and warning
+ * @returns {Object} - Validation result
+ */
+function checkItemsFormat(summary, locale = DEFAULT_LOCALE) {
+  if (summary.format === 'dat') {
+    const version = summary.version;
+
+    if (version < ITEMS_DAT_MIN_VERSION || version > ITEMS_DAT_MAX_VERSION) {
+      return {
+        valid: false,
+        format: 'dat',
+        reason: t(locale, 'validation.datUnsupported', { version: version, min: ITEMS_DAT_MIN_VERSION, max: ITEMS_DAT_MAX_VERSION })
+      };
+    }
+
+    return { valid: true, format: 'dat', version: version };
+  }
+
+  if (summary.addItemCount === 0) {
+    return { 
+      valid: false, 
+      format: 'txt',
+      reason: t(locale, 'validation.noAddItem')
+    };
+  } else if (summary.addItemCount < 5) {
+    return { 
+      valid: true, 
+      format: 'txt',
+      warning: t(locale, 'validation.fewAddItems', { count: summary.addItemCount })
+    };
+  }
+
+  return { valid: true, format: 'txt' };
+}
+
+module.exports = {
+  ITEM_FIELDS,
+  ITEM_NAME_COLUMN,
+  ITEM_CATEGORIES,
+  ITEMS_DAT_MIN_VERSION,
+  ITEMS_DAT_MAX_VERSION,
+  createItemRecord,
+  getItemCategory,
+  countItemCategories,
+  getItemNames,
+  createItemsDiff,
+  parseItemRecord,
+  createParseReport,
+  findIdGaps,
+  countParseErrors,
+  formatParseReport,
+  createItemsTextParser,
+  parseItemsContent,
+  isItemsDatBuffer,
+  createItemsDatParser,
+  parseItemsDat,
+  validateItemsFile,
+  checkItemsFormat
+};
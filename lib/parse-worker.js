@@ -0,0 +1,151 @@
+// Downloads and parses an uploaded items file off the main thread,
+// so a large upload never blocks the Discord gateway connection.
+// The default database is read from disk and parsed here too when it is reloaded.
+// Accepted files are also diffed, indexed and serialized here, leaving the
+// main thread only to swap the database in and write the files.
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const {
+  ITEMS_DAT_MIN_VERSION,
+  ITEMS_DAT_MAX_VERSION,
+  getItemNames,
+  createItemsDiff,
+  createParseReport,
+  countParseErrors,
+  createItemsTextParser,
+  isItemsDatBuffer,
+  createItemsDatParser,
+  checkItemsFormat
+} = require('./items');
+const { buildItemNameIndex } = require('./search');
+
+// Minimum time between progress messages, in milliseconds
+const PROGRESS_INTERVAL = 500;
+
+// Bytes needed to tell items.dat from items.txt, see isItemsDatBuffer
+const FORMAT_HEADER_SIZE = 6;
+
+/**
+ * Open the file as a stream of chunks, from disk when a path is given and over HTTP otherwise
+ * @param {Object} options - { filePath, size } or { url, size } from the main thread
+ * @returns {Object} - { chunks, total } with total in bytes, 0 if unknown
+ */
+async function openItemsFile(options) {
+  if (options.filePath) {
+    return { chunks: fs.createReadStream(options.filePath), total: options.size || 0 };
+  }
+
+  const response = await fetch(options.url);
+  if (!response.ok) {
+    throw new Error(`Failed to download file: ${response.status} ${response.statusText}`);
+  }
+
+  return { chunks: response.body, total: parseInt(response.headers.get('content-length')) || options.size || 0 };
+}
+
+/**
+ * Download or read the file and parse it as it arrives, line by line for items.txt
+ * and record by record for items.dat
+ * @param {Object} options - { url or filePath, size, maxSize } from the main thread
+ * @returns {Object} - { format, version, addItemCount, itemsData, report }
+ */
+async function downloadAndParse(options) {
+  const { chunks, total } = await openItemsFile(options);
+  const decoder = new TextDecoder('utf-8');
+
+  let format = null;
+  let version;
+  let report = null;
+  let parser = null;
+  let pending = [];
+  let received = 0;
+  let lastProgress = 0;
+
+  for await (const chunk of chunks) {
+    received += chunk.length;
+
+    if (received > options.maxSize) {
+      throw new Error(`File is larger than ${options.maxSize} bytes`);
+    }
+
+    pending.push(Buffer.from(chunk));
+
+    // Decide the format once the header has arrived
+    if (format === null) {
+      const head = Buffer.concat(pending);
+      if (head.length < FORMAT_HEADER_SIZE) {
+        continue;
+      }
+
+      format = isItemsDatBuffer(head) ? 'dat' : 'txt';
+      report = createParseReport(format);
+      pending = [head];
+
+      if (format === 'txt') {
+        parser = createItemsTextParser(report);
+      } else {
+        version = head.readUInt16LE(0);
+
+        // Leave unsupported versions to the main thread, which reports them to the uploader
+        if (version < ITEMS_DAT_MIN_VERSION || version > ITEMS_DAT_MAX_VERSION) {
+          return { format: format, version: version, itemsData: {}, report: report };
+        }
+
+        parser = createItemsDatParser(report);
+      }
+    }
+
+    pending.forEach(buffer => parser.write(format === 'txt' ? decoder.decode(buffer, { stream: true }) : buffer));
+    pending = [];
+
+    const now = Date.now();
+    if (now - lastProgress >= PROGRESS_INTERVAL) {
+      lastProgress = now;
+      parentPort.postMessage({ type: 'progress', received: received, total: total, items: report ? report.parsedCount : 0 });
+    }
+  }
+
+  // Files shorter than the header can only be text
+  if (format === null) {
+    format = 'txt';
+    report = createParseReport(format);
+    parser = createItemsTextParser(report);
+    pending.forEach(buffer => parser.write(decoder.decode(buffer, { stream: true })));
+  }
+
+  if (format === 'txt') {
+    parser.write(decoder.decode());
+    return { format: format, addItemCount: report.addItemLines, itemsData: parser.end(), report: report };
+  }
+
+  return { format: format, version: version, itemsData: parser.end(), report: report };
+}
+
+/**
+ * Prepare an accepted upload for the main thread: the diff against the database
+ * it replaces, its search index and its serialized items
+ * @param {Object} result - Result of downloadAndParse
+ * @param {Object} options - { strict, oldNames } from the main thread
+ * @returns {Object} - The result, with diff, nameIndex and itemsJson when the upload will be applied
+ */
+function prepareUpload(result, options) {
+  const itemCount = Object.keys(result.itemsData).length;
+  const rejected = !checkItemsFormat(result).valid
+    || itemCount === 0
+    || (options.strict && countParseErrors(result.report) > 0);
+
+  if (rejected) {
+    return result;
+  }
+
+  return {
+    ...result,
+    diff: options.oldNames ? createItemsDiff(options.oldNames, getItemNames(result.itemsData)) : null,
+    nameIndex: buildItemNameIndex(result.itemsData),
+    itemsJson: JSON.stringify(result.itemsData)
+  };
+}
+
+downloadAndParse(workerData)
+  .then(result => parentPort.postMessage({ type: 'done', result: prepareUpload(result, workerData) }))
+  .catch(e => parentPort.postMessage({ type: 'error', message: e.message }));
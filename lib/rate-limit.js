@@ -0,0 +1,119 @@
+// Fixed-window rate limits, with one bucket per scope of a request such as its user,
+// its guild or its client address. Kept free of Discord dependencies so the REST API
+// can use it too.
+
+// Expired buckets are dropped once this many have piled up
+const RATE_LIMIT_SWEEP_SIZE = 10000;
+
+/**
+ * Create a rate limiter over fixed windows
+ * @param {Object} limits - Limits per category: the window in milliseconds and the number
+ *   of requests per window for each scope, e.g. { window, user, guild }
+ * @param {Function} now - Clock returning the current time in milliseconds
+ * @returns {Object} - Rate limiter with consume, refund and getStatus methods
+ */
+function createRateLimiter(limits, now = Date.now) {
+  const buckets = new Map();
+
+  /**
+   * Get the bucket keys a request counts against, with the scope of each
+   * @param {string} category - Key of the limits
+   * @param {Object} scopes - ID of the request in each scope, e.g. { user, guild }
+   * @returns {Array} - [key, scope] pairs
+   */
+  function getBucketKeys(category, scopes) {
+    return Object.entries(scopes).map(([scope, id]) => [`${category}:${scope}:${id}`, scope]);
+  }
+
+  /**
+   * Get the buckets of a request for the current window, starting new ones where needed
+   * @param {string} category - Key of the limits
+   * @param {Object} scopes - ID of the request in each scope
+   * @param {number} time - Current time
+   * @returns {Array} - { bucket, limit } per scope
+   */
+  function getBuckets(category, scopes, time) {
+    const categoryLimits = limits[category];
+
+    return getBucketKeys(category, scopes).map(([key, scope]) => {
+      let bucket = buckets.get(key);
+
+      if (!bucket || bucket.resetAt <= time) {
+        bucket = { count: 0, resetAt: time + categoryLimits.window };
+        buckets.set(key, bucket);
+      }
+
+      return { bucket: bucket, limit: categoryLimits[scope] };
+    });
+  }
+
+  return {
+    /**
+     * Take one request from every bucket of a request.
+     * Nothing is taken when any bucket is empty, so refused requests do not extend the wait.
+     * @param {string} category - Key of the limits
+     * @param {Object} scopes - ID of the request in each scope, e.g. { user, guild }
+     * @returns {number} - 0 if the request is allowed, otherwise milliseconds to wait
+     */
+    consume(category, scopes) {
+      const time = now();
+
+      // Drop expired buckets now and then, so clients who stopped long ago do not pile up
+      if (buckets.size > RATE_LIMIT_SWEEP_SIZE) {
+        for (const [key, bucket] of buckets) {
+          if (bucket.resetAt <= time) {
+            buckets.delete(key);
+          }
+        }
+      }
+
+      const entries = getBuckets(category, scopes, time);
+
+      const exceeded = entries.filter(({ bucket, limit }) => bucket.count >= limit);
+      if (exceeded.length > 0) {
+        return Math.max(...exceeded.map(({ bucket }) => bucket.resetAt - time));
+      }
+
+      entries.forEach(({ bucket }) => bucket.count++);
+      return 0;
+    },
+
+    /**
+     * Give back a request taken in the current window, for requests refused
+     * before they did any of the work the limit protects
+     * @param {string} category - Key of the limits
+     * @param {Object} scopes - ID of the request in each scope
+     */
+    refund(category, scopes) {
+      const time = now();
+
+      for (const [key] of getBucketKeys(category, scopes)) {
+        const bucket = buckets.get(key);
+        if (bucket && bucket.resetAt > time && bucket.count > 0) {
+          bucket.count--;
+        }
+      }
+    },
+
+    /**
+     * Get how many requests are left in the current window, from the fullest bucket
+     * @param {string} category - Key of the limits
+     * @param {Object} scopes - ID of the request in each scope
+     * @returns {Object} - { limit, remaining, resetAt } with resetAt in milliseconds
+     */
+    getStatus(category, scopes) {
+      const entries = getBuckets(category, scopes, now());
+      const fullest = entries.reduce((a, b) => (b.limit - b.bucket.count < a.limit - a.bucket.count ? b : a));
+
+      return {
+        limit: fullest.limit,
+        remaining: Math.max(0, fullest.limit - fullest.bucket.count),
+        resetAt: fullest.bucket.resetAt
+      };
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
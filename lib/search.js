@@ -0,0 +1,979 @@
+// In-memory item databases and the search over them.
+// Kept free of Discord dependencies so the command-line tool can search local files.
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const { ITEM_FIELDS, getItemCategory } = require('./items');
+
+// Loaded item databases, keyed by guild ID or DEFAULT_DATABASE_ID
+const GUILD_ITEMS_DATA = {};
+const GUILD_ITEM_NAMES_LOWER = {};
+const GUILD_SEARCH_INDEX = {};
+
+/**
+ * Build the lowercase names and search index of a database
+ * @param {Object} itemsData - Dictionary of item IDs to item records
+ * @returns {Object} - { namesLower, searchIndex }
+ */
+function buildItemNameIndex(itemsData) {
+  const namesLower = {};
+
+  for (const [key, item] of Object.entries(itemsData)) {
+    namesLower[key] = item.name.toLowerCase();
+  }
+
+  return { namesLower: namesLower, searchIndex: buildSearchIndex(namesLower) };
+}
+
+/**
+ * Initialize items data for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} itemsData - Dictionary of item IDs to item records
+ * @param {Object} nameIndex - Result of buildItemNameIndex when it was already built, e.g. by the upload worker
+ */
+function initializeGuildItems(guildId, itemsData, nameIndex = buildItemNameIndex(itemsData)) {
+  GUILD_ITEMS_DATA[guildId] = itemsData;
+  GUILD_ITEM_NAMES_LOWER[guildId] = nameIndex.namesLower;
+  GUILD_SEARCH_INDEX[guildId] = nameIndex.searchIndex;
+}
+
+// Match ranks used to order search results, lower ranks are shown first
+const MATCH_RANK = {
+  EXACT: 0,
+  PREFIX: 1,
+  WORD: 2,
+  SUBSTRING: 3,
+  FUZZY: 4
+};
+
+/**
+ * Calculate the edit distance between two strings, counting adjacent swaps as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop early once the distance exceeds this value
+ * @returns {number} - Edit distance, or maxDistance + 1 if it is exceeded
+ */
+function getEditDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      // Adjacent transposition, e.g. "wodoen" -> "wooden"
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+      }
+
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Get the maximum edit distance allowed for fuzzy matches of a query
+ * @param {string} query - Lowercase search query
+ * @returns {number} - Maximum edit distance
+ */
+function getFuzzyThreshold(query) {
+  if (query.length <= 3) {
+    return 0;
+  } else if (query.length <= 6) {
+    return 1;
+  }
+  return 2;
+}
+
+/**
+ * Get the smallest edit distance between a query and an item name or any of its words
+ * @param {string} nameLower - Lowercase item name
+ * @param {string} query - Lowercase search query
+ * @param {number} maxDistance - Maximum distance worth computing
+ * @returns {number} - Smallest edit distance found
+ */
+function getNameDistance(nameLower, query, maxDistance) {
+  let best = getEditDistance(query, nameLower, maxDistance);
+
+  for (const word of nameLower.split(/[^a-z0-9]+/)) {
+    if (word) {
+      best = Math.min(best, getEditDistance(query, word, maxDistance));
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Check whether a query starts at a word boundary somewhere inside a name
+ * @param {string} nameLower - Lowercase item name
+ * @param {string} query - Lowercase search query
+ * @returns {boolean} - True if the query begins a word in the name
+ */
+function isWordBoundaryMatch(nameLower, query) {
+  let index = nameLower.indexOf(query);
+
+  while (index !== -1) {
+    if (index === 0 || !/[a-z0-9]/.test(nameLower[index - 1])) {
+      return true;
+    }
+    index = nameLower.indexOf(query, index + 1);
+  }
+
+  return false;
+}
+
+/**
+ * Rank how well an item name matches a query
+ * @param {string} nameLower - Lowercase item name
+ * @param {string} query - Lowercase search query
+ * @returns {Object|null} - Match rank and edit distance, or null if it does not match
+ */
+function rankItemMatch(nameLower, query) {
+  if (nameLower === query) {
+    return { rank: MATCH_RANK.EXACT, distance: 0 };
+  } else if (nameLower.startsWith(query)) {
+    return { rank: MATCH_RANK.PREFIX, distance: 0 };
+  } else if (isWordBoundaryMatch(nameLower, query)) {
+    return { rank: MATCH_RANK.WORD, distance: 0 };
+  } else if (nameLower.includes(query)) {
+    return { rank: MATCH_RANK.SUBSTRING, distance: 0 };
+  }
+
+  const maxDistance = getFuzzyThreshold(query);
+  if (maxDistance === 0) {
+    return null;
+  }
+
+  const distance = getNameDistance(nameLower, query, maxDistance);
+  if (distance <= maxDistance) {
+    return { rank: MATCH_RANK.FUZZY, distance: distance };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether an item passes the type filter
+ * @param {Object} item - Item record
+ * @param {string} type - Item category, 'all', or 'block' for anything but a seed
+ * @returns {boolean} - True if the item should be included
+ */
+function matchesTypeFilter(item, type) {
+  // 'block' is the filter from before categories existed, still used by API clients
+  if (type === 'block') {
+    return getItemCategory(item) !== 'seed';
+  }
+
+  return type === 'all' || getItemCategory(item) === type;
+}
+
+// Search index settings
+const SEARCH_NGRAM_SIZE = 3;
+const SEARCH_CACHE_SIZE = 50;
+
+/**
+ * Get the distinct n-grams of a lowercase string
+ * @param {string} text - Lowercase text
+ * @returns {Set} - Set of n-grams
+ */
+function getNgrams(text) {
+  const ngrams = new Set();
+
+  for (let i = 0; i + SEARCH_NGRAM_SIZE <= text.length; i++) {
+    ngrams.add(text.substring(i, i + SEARCH_NGRAM_SIZE));
+  }
+
+  return ngrams;
+}
+
+/**
+ * Add an item ID to the posting list stored under a key
+ * @param {Map} map - Map of keys to item ID lists
+ * @param {*} key - Posting list key
+ * @param {string} itemId - Item ID
+ */
+function addPosting(map, key, itemId) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(itemId);
+}
+
+/**
+ * Build a search index over a guild's lowercase item names
+ * @param {Object} namesLower - Dictionary of item IDs to lowercase names
+ * @returns {Object} - Search index with n-gram, word and name length posting lists and a result cache.
+ *   The name phrases and exact name lookup are built on first use by getNamePhrases and getExactNameIds.
+ */
+function buildSearchIndex(namesLower) {
+  const ngrams = new Map();
+  const words = new Map();
+  const lengths = new Map();
+
+  for (const [itemId, nameLower] of Object.entries(namesLower)) {
+    for (const gram of getNgrams(nameLower)) {
+      addPosting(ngrams, gram, itemId);
+    }
+
+    for (const word of new Set(nameLower.split(/[^a-z0-9]+/))) {
+      if (word) {
+        addPosting(words, word, itemId);
+      }
+    }
+
+    addPosting(lengths, nameLower.length, itemId);
+  }
+
+  return {
+    ngrams: ngrams,
+    words: words,
+    lengths: lengths,
+    phrases: null,
+    exactNames: null,
+    cache: new Map()
+  };
+}
+
+/**
+ * Get the item IDs that can possibly match a query, using the search index.
+ * Substring matches contain every n-gram of the query. A name within edit distance k
+ * of the query still shares all but 4k of its n-grams, and fuzzy word matches are
+ * found through the word list.
+ * @param {Object} index - Guild search index
+ * @param {Object} namesLower - Dictionary of item IDs to lowercase names
+ * @param {string} query - Lowercase search query
+ * @returns {Set|null} - Candidate item IDs, or null if every item must be checked
+ */
+function getCandidateIds(index, namesLower, query) {
+  const grams = [...getNgrams(query)];
+  if (grams.length === 0) {
+    return null;
+  }
+
+  const counts = new Map();
+  for (const gram of grams) {
+    for (const itemId of index.ngrams.get(gram) || []) {
+      counts.set(itemId, (counts.get(itemId) || 0) + 1);
+    }
+  }
+
+  const maxDistance = getFuzzyThreshold(query);
+  const fuzzyRequired = grams.length - 4 * maxDistance;
+  const candidates = new Set();
+
+  for (const [itemId, count] of counts) {
+    if (count === grams.length) {
+      candidates.add(itemId);
+    } else if (maxDistance > 0 && fuzzyRequired > 0 && count >= fuzzyRequired &&
+        Math.abs(namesLower[itemId].length - query.length) <= maxDistance) {
+      candidates.add(itemId);
+    }
+  }
+
+  if (maxDistance === 0) {
+    return candidates;
+  }
+
+  // Short queries share too few n-grams, so compare whole names of similar length instead
+  if (fuzzyRequired <= 0) {
+    for (let length = query.length - maxDistance; length <= query.length + maxDistance; length++) {
+      (index.lengths.get(length) || []).forEach(itemId => candidates.add(itemId));
+    }
+  }
+
+  for (const [word, itemIds] of index.words) {
+    if (Math.abs(word.length - query.length) <= maxDistance &&
+        getEditDistance(query, word, maxDistance) <= maxDistance) {
+      itemIds.forEach(itemId => candidates.add(itemId));
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Rank and filter a set of items against a query
+ * @param {string} guildId - Discord guild ID
+ * @param {Iterable} itemIds - Item IDs to check
+ * @param {string} query - Lowercase search query
+ * @param {string} type - Item category, or 'all'
+ * @param {number} limit - Maximum number of results to return
+ * @returns {Array} - Array of matching items with IDs, best matches first
+ */
+function rankItems(guildId, itemIds, query, type, limit) {
+  let matches = [];
+  for (const itemId of itemIds) {
+    const nameLower = GUILD_ITEM_NAMES_LOWER[guildId][itemId];
+
+    // Apply type filter if specified
+    if (!matchesTypeFilter(GUILD_ITEMS_DATA[guildId][itemId], type)) {
+      continue;
+    }
+
+    const match = rankItemMatch(nameLower, query);
+    if (match) {
+      matches.push({
+        id: parseInt(itemId),
+        name: GUILD_ITEMS_DATA[guildId][itemId].name,
+        rank: match.rank,
+        distance: match.distance
+      });
+    }
+  }
+
+  // Sort by rank, then by edit distance and ID, and apply limit
+  matches.sort((a, b) => a.rank - b.rank || a.distance - b.distance || a.id - b.id);
+  return matches.slice(0, limit).map(match => [match.id, match.name]);
+}
+
+/**
+ * Search a guild's items by checking every item name
+ * @param {string} guildId - Discord guild ID
+ * @param {string} query - Lowercase search query
+ * @param {string} type - Item category, or 'all'
+ * @param {number} limit - Maximum number of results to return
+ * @returns {Array} - Array of matching items with IDs, best matches first
+ */
+function scanItemsByQuery(guildId, query, type = 'all', limit = 500) {
+  return rankItems(guildId, Object.keys(GUILD_ITEM_NAMES_LOWER[guildId]), query, type, limit);
+}
+
+/**
+ * Search a guild's items through its n-gram index
+ * @param {string} guildId - Discord guild ID
+ * @param {string} query - Lowercase search query
+ * @param {string} type - Item category, or 'all'
+ * @param {number} limit - Maximum number of results to return
+ * @returns {Array} - Array of matching items with IDs, best matches first
+ */
+function searchIndexedItems(guildId, query, type = 'all', limit = 500) {
+  const index = GUILD_SEARCH_INDEX[guildId];
+  const candidates = index ? getCandidateIds(index, GUILD_ITEM_NAMES_LOWER[guildId], query) : null;
+
+  if (candidates === null) {
+    return scanItemsByQuery(guildId, query, type, limit);
+  }
+
+  return rankItems(guildId, candidates, query, type, limit);
+}
+
+// Comparison operators accepted by numeric field filters such as rarity:>50
+const QUERY_NUMBER_FILTER = /^(>=|<=|>|<|=)?(\d+)$/;
+const QUERY_RANGE_FILTER = /^(\d+)-(\d+)$/;
+
+// Characters a backslash turns back into plain text, e.g. \: or a leading \-
+const QUERY_ESCAPE = /\\([\\":^$-])/g;
+const QUERY_ESCAPABLE = '\\":^$-';
+
+/**
+ * Build a failed query parse result that points at the offending position
+ * @param {string} query - Raw search query
+ * @param {number} position - Index of the problem in the query
+ * @param {string} locale - Locale code
+ * @param {string} key - Catalog key of the error message
+ * @param {Object} params - Values for the message placeholders
+ * @returns {Object} - Parse result with valid set to false
+ */
+function createQueryError(query, position, locale, key, params = {}) {
+  return {
+    valid: false,
+    reason: t(locale, key, { ...params, position: position + 1 }),
+    pointer: `${query}\n${' '.repeat(position)}^`
+  };
+}
+
+/**
+ * Read one word, or the inside of a quoted phrase, resolving backslash escapes
+ * @param {string} query - Raw search query
+ * @param {number} index - Position of the first character, after the quote for a phrase
+ * @param {boolean} quoted - True to read up to the closing quote instead of whitespace
+ * @returns {Object|null} - { text, end, colon, literalEnd }, or null for an unclosed phrase.
+ *   end is the position after the text, colon the first unescaped colon as
+ *   { offset, position } in the text and the query, and literalEnd whether the last
+ *   character was escaped.
+ */
+function readQueryText(query, index, quoted) {
+  let text = '';
+  let colon = null;
+  let literalEnd = false;
+
+  while (index < query.length && !(quoted ? query[index] === '"' : /\s/.test(query[index]))) {
+    const next = query[index + 1];
+
+    if (query[index] === '\\' && next !== undefined && QUERY_ESCAPABLE.includes(next)) {
+      text += next;
+      literalEnd = true;
+      index += 2;
+      continue;
+    }
+
+    if (query[index] === ':' && !colon) {
+      colon = { offset: text.length, position: index };
+    }
+
+    text += query[index];
+    literalEnd = false;
+    index++;
+  }
+
+  if (quoted && index >= query.length) {
+    return null;
+  }
+
+  return { text: text, end: index, colon: colon, literalEnd: literalEnd };
+}
+
+/**
+ * Find the field filter a word names, such as rarity in rarity:>50
+ * @param {Object} word - Word from readQueryText
+ * @returns {Object|null} - Entry of ITEM_FIELDS, or null if the word is plain text
+ */
+function findQueryField(word) {
+  if (!word.colon) {
+    return null;
+  }
+
+  const fieldName = word.text.slice(0, word.colon.offset).toLowerCase();
+
+  // Names are what plain text already searches, so name: is text like any unknown prefix
+  return ITEM_FIELDS.find(entry => entry.key !== 'name' && entry.key.toLowerCase() === fieldName) || null;
+}
+
+/**
+ * Parse the value of a field filter such as id:100-500 or texture:tiles
+ * @param {Object} field - Entry of ITEM_FIELDS, or the id field
+ * @param {string} value - Text after the colon
+ * @returns {Object|null} - Filter condition, or null if the value is malformed
+ */
+function parseFieldFilter(field, value) {
+  if (field.type === 'string') {
+    return { kind: 'field', key: field.key, op: 'contains', value: value.toLowerCase() };
+  }
+
+  const range = value.match(QUERY_RANGE_FILTER);
+  if (range) {
+    const min = parseInt(range[1]);
+    const max = parseInt(range[2]);
+    return min <= max ? { kind: 'field', key: field.key, op: 'range', min: min, max: max } : null;
+  }
+
+  const comparison = value.match(QUERY_NUMBER_FILTER);
+  if (comparison) {
+    return { kind: 'field', key: field.key, op: comparison[1] || '=', value: parseInt(comparison[2]) };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a /search query. Plain text keeps the ranked substring search; the
+ * advanced syntax supports "exact phrases", -exclusion, OR, ^prefix and
+ * suffix$ anchors, and field filters such as id:100-500 or rarity:>50. Words with a
+ * colon that do not name a field are plain text, and a backslash makes the next
+ * quote, colon, -, ^, $ or backslash plain text too.
+ * @param {string} query - Raw search query
+ * @param {string} locale - Locale code for error messages
+ * @returns {Object} - { valid, advanced, groups, text } or { valid: false, reason, pointer },
+ *   with text the query with its escapes resolved, for plain searches
+ */
+function parseSearchQuery(query, locale = DEFAULT_LOCALE) {
+  // Terms in a group must all match; any one group matching is enough
+  const groups = [[]];
+  let advanced = false;
+  let lastOrPosition = -1;
+  let index = 0;
+
+  while (index < query.length) {
+    if (/\s/.test(query[index])) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+    let negate = false;
+    let anchorStart = false;
+
+    // A lone '-' or '^' is ordinary text, not an operator
+    if (query[index] === '-' && index + 1 < query.length && !/\s/.test(query[index + 1])) {
+      negate = true;
+      index++;
+    }
+    if (query[index] === '^' && index + 1 < query.length && !/\s/.test(query[index + 1])) {
+      anchorStart = true;
+      index++;
+    }
+
+    const quoted = query[index] === '"';
+    const word = readQueryText(query, quoted ? index + 1 : index, quoted);
+
+    if (!word) {
+      return createQueryError(query, index, locale, 'search.query.unterminatedQuote');
+    } else if (quoted && !word.text.trim()) {
+      return createQueryError(query, start, locale, 'search.query.emptyPhrase');
+    }
+
+    let text = word.text;
+    index = quoted ? word.end + 1 : word.end;
+
+    let anchorEnd = false;
+    if (quoted && query[index] === '$') {
+      anchorEnd = true;
+      index++;
+    } else if (!quoted && text.length > 1 && text.endsWith('$') && !word.literalEnd) {
+      anchorEnd = true;
+      text = text.slice(0, -1);
+    }
+
+    if (!quoted && !negate && !anchorStart && text === 'OR') {
+      if (groups[groups.length - 1].length === 0) {
+        return createQueryError(query, start, locale, 'search.query.danglingOr');
+      }
+
+      groups.push([]);
+      advanced = true;
+      lastOrPosition = start;
+      continue;
+    }
+
+    const field = quoted ? null : findQueryField(word);
+    let condition;
+
+    if (field) {
+      const fieldName = text.slice(0, word.colon.offset);
+      const value = text.slice(word.colon.offset + 1);
+
+      if (anchorStart || anchorEnd) {
+        return createQueryError(query, start, locale, 'search.query.anchoredField');
+      } else if (!value) {
+        return createQueryError(query, index, locale, 'search.query.missingValue', { field: fieldName });
+      }
+
+      condition = parseFieldFilter(field, value);
+      if (!condition) {
+        return createQueryError(query, word.colon.position + 1, locale, 'search.query.invalidNumber', { field: fieldName });
+      }
+    } else {
+      condition = { kind: 'name', value: text.toLowerCase(), anchorStart: anchorStart, anchorEnd: anchorEnd };
+    }
+
+    condition.negate = negate;
+    if (negate || anchorStart || anchorEnd || quoted || field) {
+      advanced = true;
+    }
+
+    groups[groups.length - 1].push(condition);
+  }
+
+  if (groups[groups.length - 1].length === 0 && lastOrPosition !== -1) {
+    return createQueryError(query, lastOrPosition, locale, 'search.query.danglingOr');
+  }
+
+  return { valid: true, advanced: advanced, groups: groups, text: query.replace(QUERY_ESCAPE, '$1') };
+}
+
+/**
+ * Check whether an item satisfies one condition of a parsed query
+ * @param {Object} item - Item record
+ * @param {string} nameLower - Lowercase item name
+ * @param {Object} condition - Condition from parseSearchQuery
+ * @returns {boolean} - True if the condition holds, before negation
+ */
+function matchesQueryCondition(item, nameLower, condition) {
+  if (condition.kind === 'name') {
+    if (condition.anchorStart && condition.anchorEnd) {
+      return nameLower === condition.value;
+    } else if (condition.anchorStart) {
+      return nameLower.startsWith(condition.value);
+    } else if (condition.anchorEnd) {
+      return nameLower.endsWith(condition.value);
+    }
+    return nameLower.includes(condition.value);
+  }
+
+  const value = item[condition.key];
+
+  switch (condition.op) {
+    case 'contains':
+      return String(value || '').toLowerCase().includes(condition.value);
+    case 'range':
+      return value >= condition.min && value <= condition.max;
+    case '>':
+      return value > condition.value;
+    case '>=':
+      return value >= condition.value;
+    case '<':
+      return value < condition.value;
+    case '<=':
+      return value <= condition.value;
+    default:
+      return value === condition.value;
+  }
+}
+
+/**
+ * Filter a guild's items with a parsed advanced query
+ * @param {string} guildId - Discord guild ID
+ * @param {Array} groups - Condition groups from parseSearchQuery
+ * @param {string} type - Item category, or 'all'
+ * @param {number} limit - Maximum number of results to return
+ * @returns {Array} - Array of matching items with IDs, lowest ID first
+ */
+function filterItemsByQuery(guildId, groups, type, limit) {
+  const matches = [];
+
+  for (const itemId in GUILD_ITEMS_DATA[guildId]) {
+    const item = GUILD_ITEMS_DATA[guildId][itemId];
+    const nameLower = GUILD_ITEM_NAMES_LOWER[guildId][itemId];
+
+    if (!matchesTypeFilter(item, type)) {
+      continue;
+    }
+
+    const matched = groups.some(group => group.every(condition =>
+      matchesQueryCondition(item, nameLower, condition) !== condition.negate));
+
+    if (matched) {
+      matches.push([parseInt(itemId), item.name]);
+    }
+  }
+
+  matches.sort((a, b) => a[0] - b[0]);
+  return matches.slice(0, limit);
+}
+
+/**
+ * Find items by query with type filter and pagination for a specific guild.
+ * Plain queries are ranked: exact name, prefix, word start, substring, then fuzzy matches.
+ * Queries using the advanced syntax are filtered and returned in ID order.
+ * @param {string} guildId - Discord guild ID
+ * @param {string} query - Search query
+ * @param {string} type - Item category, or 'all'
+ * @param {number} limit - Maximum number of results to return
+ * @returns {Array} - Array of matching items with IDs, best matches first
+ */
+function findItemsByQuery(guildId, query, type = 'all', limit = 500) {
+  if (!GUILD_ITEMS_DATA[guildId]) {
+    return [];
+  }
+
+  query = query.trim();
+  if (!query) {
+    return [];
+  }
+
+  const parsed = parseSearchQuery(query);
+  if (!parsed.valid) {
+    return [];
+  } else if (!parsed.advanced) {
+    query = parsed.text.toLowerCase();
+  }
+
+  // Pagination buttons repeat the same query, so recent results are cached per guild.
+  // An escaped plain query can read like an advanced one once its escapes are resolved.
+  const index = GUILD_SEARCH_INDEX[guildId];
+  const cacheKey = `${type}:${limit}:${parsed.advanced ? 'advanced' : 'plain'}:${query}`;
+
+  if (index && index.cache.has(cacheKey)) {
+    const cached = index.cache.get(cacheKey);
+    index.cache.delete(cacheKey);
+    index.cache.set(cacheKey, cached);
+    return cached.slice();
+  }
+
+  const matches = parsed.advanced
+    ? filterItemsByQuery(guildId, parsed.groups, type, limit)
+    : searchIndexedItems(guildId, query, type, limit);
+
+  if (index) {
+    index.cache.set(cacheKey, matches);
+    if (index.cache.size > SEARCH_CACHE_SIZE) {
+      index.cache.delete(index.cache.keys().next().value);
+    }
+  }
+
+  return matches.slice();
+}
+
+/**
+ * Suggest item names close to a query that found no results
+ * @param {string} guildId - Discord guild ID
+ * @param {string} query - Search query
+ * @param {string} type - Item category, or 'all'
+ * @param {number} count - Maximum number of suggestions
+ * @returns {Array} - Array of suggested item names, closest first
+ */
+function suggestItemNames(guildId, query, type = 'all', count = 3) {
+  if (!GUILD_ITEMS_DATA[guildId]) {
+    return [];
+  }
+
+  query = query.toLowerCase().trim();
+  if (!query) {
+    return [];
+  }
+
+  const maxDistance = Math.max(1, Math.ceil(query.length / 2));
+  const suggestions = [];
+
+  for (const itemId in GUILD_ITEM_NAMES_LOWER[guildId]) {
+    const nameLower = GUILD_ITEM_NAMES_LOWER[guildId][itemId];
+
+    if (!matchesTypeFilter(GUILD_ITEMS_DATA[guildId][itemId], type)) {
+      continue;
+    }
+
+    const distance = getNameDistance(nameLower, query, maxDistance);
+    if (distance <= maxDistance) {
+      suggestions.push({ name: GUILD_ITEMS_DATA[guildId][itemId].name, distance: distance });
+    }
+  }
+
+  suggestions.sort((a, b) => a.distance - b.distance || a.name.length - b.name.length);
+
+  // Drop duplicate names, some items share the same name
+  const names = [];
+  for (const suggestion of suggestions) {
+    if (!names.includes(suggestion.name)) {
+      names.push(suggestion.name);
+    }
+    if (names.length >= count) {
+      break;
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Get a guild's lowercase item names mapped to their item ID, built on first use
+ * @param {string} guildId - Discord guild ID
+ * @returns {Map} - Map of lowercase names to item IDs, the lowest ID when names repeat
+ */
+function getExactNameIds(guildId) {
+  const index = GUILD_SEARCH_INDEX[guildId];
+  if (index.exactNames) {
+    return index.exactNames;
+  }
+
+  const exactNames = new Map();
+  for (const [itemId, nameLower] of Object.entries(GUILD_ITEM_NAMES_LOWER[guildId])) {
+    const id = parseInt(itemId);
+    if (!exactNames.has(nameLower) || id < exactNames.get(nameLower)) {
+      exactNames.set(nameLower, id);
+    }
+  }
+
+  index.exactNames = exactNames;
+  return exactNames;
+}
+
+/**
+ * Resolve an item ID or exact item name typed by a user to an item ID.
+ * Near misses do not resolve, callers suggest names with suggestItemNames instead.
+ * @param {string} guildId - Discord guild ID
+ * @param {string} input - Item ID or name
+ * @returns {number|null} - Resolved item ID, or null if nothing matches exactly
+ */
+function resolveItemId(guildId, input) {
+  const items = GUILD_ITEMS_DATA[guildId];
+  input = (input || '').trim();
+
+  if (!items || !input) {
+    return null;
+  }
+
+  if (/^\d+$/.test(input)) {
+    return items[input] ? parseInt(input) : null;
+  }
+
+  const itemId = getExactNameIds(guildId).get(input.toLowerCase());
+  return itemId !== undefined ? itemId : null;
+}
+
+// Words of item names and of scanned text: runs of letters and digits in any script,
+// with a leading '#' kept as an ID marker
+const MENTION_WORD_PATTERN = /(#?)([\p{L}\p{N}]+)/gu;
+
+// One-word names shorter than this are everyday words ("a", "an") far more often than items
+const MIN_SINGLE_WORD_MENTION = 3;
+
+// Words that mark the number after them as an item ID, as in "id 2"
+const ID_MARKER_WORDS = new Set(['id', 'ids']);
+
+/**
+ * Split text into lowercase words for mention matching
+ * @param {string} text - Text to split
+ * @returns {Array} - Array of { word, marked } where marked means the word had a '#' before it
+ */
+function getMentionWords(text) {
+  return [...text.toLowerCase().matchAll(MENTION_WORD_PATTERN)].map(match => ({ word: match[2], marked: match[1] === '#' }));
+}
+
+/**
+ * Get a guild's item names as word lists, grouped by their first word and longest first
+ * @param {string} guildId - Discord guild ID
+ * @returns {Map} - Map of first words to { words, itemId } entries
+ */
+function getNamePhrases(guildId) {
+  const index = GUILD_SEARCH_INDEX[guildId];
+  if (index.phrases) {
+    return index.phrases;
+  }
+
+  const phrases = new Map();
+  for (const [itemId, nameLower] of Object.entries(GUILD_ITEM_NAMES_LOWER[guildId])) {
+    const words = getMentionWords(nameLower).map(entry => entry.word);
+    if (words.length === 0 || (words.length === 1 && words[0].length < MIN_SINGLE_WORD_MENTION)) {
+      continue;
+    }
+
+    if (!phrases.has(words[0])) {
+      phrases.set(words[0], []);
+    }
+    phrases.get(words[0]).push({ words: words, itemId: parseInt(itemId) });
+  }
+
+  // Items sharing a name resolve to the lowest ID
+  for (const entries of phrases.values()) {
+    entries.sort((a, b) => b.words.length - a.words.length || a.itemId - b.itemId);
+  }
+
+  index.phrases = phrases;
+  return phrases;
+}
+
+/**
+ * Check whether a word of the text matches a word of an item name.
+ * The last word of a name may be plural, so "dirt seeds" mentions Dirt Seed.
+ * @param {string} word - Word of the text
+ * @param {string} nameWord - Word of the item name
+ * @param {boolean} isLast - Whether nameWord is the last word of the name
+ * @returns {boolean} - True if the words match
+ */
+function matchesNameWord(word, nameWord, isLast) {
+  return word === nameWord || (isLast && (word === `${nameWord}s` || word === `${nameWord}es`));
+}
+
+/**
+ * Find the longest item name that starts at a word of the text
+ * @param {Map} phrases - Result of getNamePhrases
+ * @param {Array} words - Words of the text
+ * @param {number} position - Index of the first word
+ * @returns {Object|null} - Matching { words, itemId } entry, or null
+ */
+function matchNamePhrase(phrases, words, position) {
+  const word = words[position];
+
+  // A one-word plural is filed under its singular form
+  const keys = [word];
+  if (word.endsWith('es')) {
+    keys.push(word.slice(0, -2));
+  }
+  if (word.endsWith('s')) {
+    keys.push(word.slice(0, -1));
+  }
+
+  let best = null;
+  for (const key of keys) {
+    const match = (phrases.get(key) || []).find(entry => entry.words.every((nameWord, offset) =>
+      position + offset < words.length && matchesNameWord(words[position + offset], nameWord, offset === entry.words.length - 1)));
+
+    if (match && (!best || match.words.length > best.words.length)) {
+      best = match;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find the items mentioned in free text, by name or by numeric ID.
+ * Names are matched word by word, trying the longest names first, so
+ * "dirt seed" is one mention of Dirt Seed rather than Dirt followed by Seed.
+ * A number right next to a name is read as an amount ("200 dirt") unless it
+ * is marked as an ID, as in "#2" or "id 2".
+ * @param {string} guildId - Discord guild ID
+ * @param {string} text - Text to scan
+ * @returns {Array} - Array of [itemId, itemName] pairs, in order of first mention
+ */
+function findItemMentions(guildId, text) {
+  const items = GUILD_ITEMS_DATA[guildId];
+  if (!items || !GUILD_SEARCH_INDEX[guildId]) {
+    return [];
+  }
+
+  const phrases = getNamePhrases(guildId);
+  const tokens = getMentionWords(text);
+  const words = tokens.map(token => token.word);
+  const inName = new Array(words.length).fill(false);
+  const found = [];
+  const numbers = [];
+  let position = 0;
+
+  while (position < words.length) {
+    const match = matchNamePhrase(phrases, words, position);
+
+    if (match) {
+      found.push([position, match.itemId]);
+      inName.fill(true, position, position + match.words.length);
+      position += match.words.length;
+      continue;
+    }
+
+    if (/^\d+$/.test(words[position])) {
+      numbers.push(position);
+    }
+    position++;
+  }
+
+  // Numbers are judged once every name is known, a name can follow its amount
+  for (const index of numbers) {
+    const marked = tokens[index].marked || (index > 0 && !inName[index - 1] && ID_MARKER_WORDS.has(words[index - 1]));
+    const nextToName = inName[index - 1] || inName[index + 1];
+    const itemId = parseInt(words[index]);
+
+    if ((marked || !nextToName) && items[itemId]) {
+      found.push([index, itemId]);
+    }
+  }
+
+  const mentions = new Map();
+  for (const [, itemId] of found.sort((a, b) => a[0] - b[0])) {
+    if (!mentions.has(itemId)) {
+      mentions.set(itemId, items[itemId].name);
+    }
+  }
+
+  return [...mentions];
+}
+
+module.exports = {
+  GUILD_ITEMS_DATA,
+  GUILD_ITEM_NAMES_LOWER,
+  GUILD_SEARCH_INDEX,
+  buildItemNameIndex,
+  initializeGuildItems,
+  scanItemsByQuery,
+  searchIndexedItems,
+  parseSearchQuery,
+  findItemsByQuery,
+  suggestItemNames,
+  resolveItemId,
+  findItemMentions
+};
@@ -0,0 +1,263 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  ITEM_FIELDS,
+  createItemRecord,
+  getItemCategory,
+  createParseReport,
+  countParseErrors,
+  createItemsTextParser,
+  parseItemsContent,
+  createItemsDatParser,
+  parseItemsDat,
+  validateItemsFile
+} = require('../lib/items');
+
+/**
+ * Build an add_item line with every column after the name set to zero
+ * @param {number|string} id - Item ID column
+ * @param {string} name - Item name
+ * @param {number} actionType - Action type column
+ * @returns {string} - add_item line
+ */
+function addItemLine(id, name, actionType = 17) {
+  const columns = ['add_item', id, 0, 0, actionType, 0, name, 'tiles_page1.rttex'];
+  while (columns.length <= ITEM_FIELDS.length) {
+    columns.push(0);
+  }
+  return columns.join('\\');
+}
+
+const ITEMS_DAT_NAME_KEY = 'PBG892FXX982ABC*';
+
+/**
+ * Encode an items.dat file with one record per name, IDs starting at 0
+ * @param {number} version - items.dat version
+ * @param {Array} names - Item names, an empty name makes a nameless record
+ * @returns {Buffer} - items.dat content
+ */
+function encodeItemsDat(version, names) {
+  const chunks = [];
+  const u8 = value => chunks.push(Buffer.from([value]));
+  const u16 = value => {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16LE(value);
+    chunks.push(buffer);
+  };
+  const u32 = value => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value >>> 0);
+    chunks.push(buffer);
+  };
+  const string = value => {
+    u16(value.length);
+    chunks.push(Buffer.from(value, 'latin1'));
+  };
+
+  u16(version);
+  u32(names.length);
+
+  names.forEach((name, id) => {
+    u32(id);
+    u8(0); // Editable type
+    u8(0); // Item category
+    u8(id % 2 === 1 ? 19 : 17); // Action type, odd IDs are seeds
+    u8(0); // Hit sound type
+    u16(name.length);
+    chunks.push(Buffer.from([...name].map((char, i) =>
+      char.charCodeAt(0) ^ ITEMS_DAT_NAME_KEY.charCodeAt((i + id) % ITEMS_DAT_NAME_KEY.length))));
+    string('tiles_page1.rttex');
+    u32(0); // Texture hash
+    u8(0); // Item kind
+    u32(0); // val1
+    u8(1); // Texture X
+    u8(2); // Texture Y
+    u8(0); // Spread type
+    u8(0); // Stripey wallpaper
+    u8(1); // Collision type
+    u8(36); // Break hits, stored times 6
+    u32(8); // Restore time
+    u8(0); // Clothing type
+    u16(3); // Rarity
+    u8(200); // Max amount
+    string(''); // Extra file
+    u32(0); // Extra file hash
+    u32(0); // Audio volume
+    ['', '', '', ''].forEach(string); // Pet name, prefix, suffix and ability
+    [0, 0, 0, 0].forEach(u8); // Seed and tree sprites
+    u32(0xFF102030); // Seed color
+    u32(0); // Seed overlay color
+    u32(id === 2 ? 1 << 16 : 0); // Splice ingredients, item 2 splices from 0 and 1
+    u32(31); // Grow time
+    u16(0); // val2
+    u16(0); // Rayman
+    ['', '', ''].forEach(string); // Extra options, texture2, extra options 2
+    chunks.push(Buffer.alloc(80));
+    string(''); // Punch options
+
+    if (version >= 12) chunks.push(Buffer.alloc(13));
+    if (version >= 13) u32(0);
+    if (version >= 14) u32(0);
+    if (version >= 15) {
+      chunks.push(Buffer.alloc(25));
+      string('');
+    }
+    if (version >= 16) string('');
+    if (version >= 17) u32(0);
+    if (version >= 18) u32(0);
+    if (version >= 19) chunks.push(Buffer.alloc(9));
+    if (version >= 21) u16(0);
+    if (version >= 22) string('');
+  });
+
+  return Buffer.concat(chunks);
+}
+
+test('items.txt parser reads every add_item column into an item record', () => {
+  const items = parseItemsContent([
+    'version|1',
+    addItemLine(0, 'Blank', 0),
+    addItemLine(2, 'Dirt'),
+    addItemLine(3, 'Dirt Seed', 19)
+  ].join('\n'), undefined, { quiet: true });
+
+  assert.deepStrictEqual(Object.keys(items), ['0', '2', '3']);
+  assert.deepStrictEqual(Object.keys(items[2]), ITEM_FIELDS.map(field => field.key));
+  assert.strictEqual(items[2].name, 'Dirt');
+  assert.strictEqual(items[2].texture, 'tiles_page1.rttex');
+  assert.strictEqual(items[2].rarity, 0);
+  assert.strictEqual(items[3].actionType, 19);
+});
+
+test('items.txt parser keeps column positions when fields are empty', () => {
+  const items = parseItemsContent('add_item\\7\\\\\\18\\\\Cave Background\\\\\\\\\\\\\\\\\\\\\\\\\\5', undefined, { quiet: true });
+
+  assert.strictEqual(items[7].name, 'Cave Background');
+  assert.strictEqual(items[7].actionType, 18);
+  assert.strictEqual(items[7].editableType, 0);
+  assert.strictEqual(items[7].rarity, 5);
+});
+
+test('items.txt parser reports bad lines and keeps the last duplicate', () => {
+  const report = createParseReport('txt');
+  const items = parseItemsContent([
+    addItemLine(2, 'Dirt'),
+    addItemLine('x1', 'Bad ID'),
+    addItemLine(4, ''),
+    'add_item\\5\\0',
+    addItemLine(2, 'New Dirt'),
+    addItemLine(7, 'Rock')
+  ].join('\n'), report, { quiet: true });
+
+  assert.deepStrictEqual(Object.keys(items), ['2', '7']);
+  assert.strictEqual(items[2].name, 'New Dirt');
+  assert.strictEqual(report.totalLines, 6);
+  assert.strictEqual(report.addItemLines, 6);
+  assert.strictEqual(report.parsedCount, 2);
+  assert.deepStrictEqual(report.invalidIds, [{ line: 2, value: 'x1' }]);
+  assert.deepStrictEqual(report.errors.map(error => error.line), [3, 4]);
+  assert.deepStrictEqual(report.duplicates, [{ id: 2, line: 5, firstLine: 1 }]);
+  assert.deepStrictEqual(report.gaps, [{ from: 3, to: 6 }]);
+  assert.strictEqual(countParseErrors(report), 4);
+});
+
+test('items.txt parser gives the same result for a file split into chunks', () => {
+  const content = [addItemLine(1, 'Rock'), addItemLine(2, 'Dirt'), addItemLine(3, 'Lava')].join('\r\n');
+  const parser = createItemsTextParser(createParseReport('txt'), { quiet: true });
+
+  for (let i = 0; i < content.length; i += 7) {
+    parser.write(content.slice(i, i + 7));
+  }
+
+  assert.deepStrictEqual(parser.end(), parseItemsContent(content, undefined, { quiet: true }));
+});
+
+test('items.dat parser decodes names and item fields', () => {
+  const items = parseItemsDat(encodeItemsDat(14, ['Blank', 'Blank Seed', 'Dirt', 'Dirt Seed']), undefined, { quiet: true });
+
+  assert.deepStrictEqual(Object.values(items).map(item => item.name), ['Blank', 'Blank Seed', 'Dirt', 'Dirt Seed']);
+  assert.strictEqual(items[2].texture, 'tiles_page1.rttex');
+  assert.strictEqual(items[2].actionType, 17);
+  assert.strictEqual(items[3].actionType, 19);
+  assert.strictEqual(items[2].breakHits, 6);
+  assert.strictEqual(items[2].rarity, 3);
+  assert.strictEqual(items[2].seedColor, '16,32,48,255');
+  assert.strictEqual(items[2].growTime, 31);
+});
+
+test('items.dat parser reads every supported version', () => {
+  for (const version of [11, 12, 15, 19, 22]) {
+    const items = parseItemsDat(encodeItemsDat(version, ['Blank', 'Blank Seed', 'Dirt']), undefined, { quiet: true });
+    assert.strictEqual(items[2].name, 'Dirt', `version ${version}`);
+  }
+});
+
+test('items.dat parser reads splice ingredients', () => {
+  const items = parseItemsDat(encodeItemsDat(14, ['Blank', 'Blank Seed', 'Dirt']), undefined, { quiet: true });
+
+  assert.deepStrictEqual(items[2].spliceIngredients, [0, 1]);
+  assert.strictEqual(items[0].spliceIngredients, undefined);
+});
+
+test('items.dat parser gives the same result for a file split into chunks', () => {
+  const buffer = encodeItemsDat(22, ['Blank', 'Blank Seed', 'Dirt', 'Dirt Seed', 'Rock']);
+  const parser = createItemsDatParser(createParseReport('dat'), { quiet: true });
+
+  for (let i = 0; i < buffer.length; i += 33) {
+    parser.write(buffer.subarray(i, i + 33));
+  }
+
+  assert.deepStrictEqual(parser.end(), parseItemsDat(buffer, undefined, { quiet: true }));
+});
+
+test('items.dat parser reports nameless records as errors', () => {
+  const report = createParseReport('dat');
+  const items = parseItemsDat(encodeItemsDat(14, ['Blank', '', 'Dirt']), report, { quiet: true });
+
+  assert.deepStrictEqual(Object.keys(items), ['0', '2']);
+  assert.strictEqual(report.parsedCount, 2);
+  assert.deepStrictEqual(report.errors, [{ record: 2, message: 'Empty item name for ID 1' }]);
+  assert.deepStrictEqual(report.gaps, [{ from: 1, to: 1 }]);
+  assert.strictEqual(countParseErrors(report), 1);
+});
+
+test('items.dat parser rejects truncated files and unsupported versions', () => {
+  const buffer = encodeItemsDat(14, ['Blank', 'Blank Seed']);
+
+  assert.throws(() => parseItemsDat(buffer.subarray(0, buffer.length - 5), undefined, { quiet: true }), /Unexpected end of items\.dat/);
+  assert.throws(() => parseItemsDat(encodeItemsDat(99, ['Blank']), undefined, { quiet: true }), /Unsupported items\.dat version 99/);
+});
+
+test('validateItemsFile recognizes both formats', () => {
+  const text = Array.from({ length: 5 }, (_, id) => addItemLine(id, `Item ${id}`)).join('\n');
+
+  assert.deepStrictEqual(validateItemsFile(Buffer.from(text), 'en'), { valid: true, format: 'txt' });
+  assert.ok(validateItemsFile(addItemLine(1, 'Rock'), 'en').warning);
+  assert.strictEqual(validateItemsFile('hello world', 'en').valid, false);
+  assert.deepStrictEqual(validateItemsFile(encodeItemsDat(14, ['Blank']), 'en'), { valid: true, format: 'dat', version: 14 });
+  assert.strictEqual(validateItemsFile(encodeItemsDat(99, ['Blank']), 'en').valid, false);
+});
+
+test('getItemCategory uses the action type', () => {
+  const seed = createItemRecord(3, 'Dirt Seed');
+  seed.texture = 'seed.rttex';
+  seed.actionType = 19;
+  assert.strictEqual(getItemCategory(seed), 'seed');
+
+  // A name is not a category, and unknown action types are other
+  const block = createItemRecord(2, 'Seed Block');
+  block.texture = 'tiles_page1.rttex';
+  block.actionType = 17;
+  assert.strictEqual(getItemCategory(block), 'foreground');
+
+  block.actionType = 250;
+  assert.strictEqual(getItemCategory(block), 'other');
+});
+
+test('getItemCategory treats records without a texture as other', () => {
+  const legacy = createItemRecord(5, 'Old Item');
+  assert.strictEqual(getItemCategory(legacy), 'other');
+
+  legacy.texture = 'tiles_page1.rttex';
+  assert.strictEqual(getItemCategory(legacy), 'tool');
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../lib/rate-limit');
+
+const LIMITS = {
+  command: { window: 60000, user: 2, guild: 3 },
+  upload: { window: 600000, user: 0, guild: 5 }
+};
+
+/**
+ * Create a rate limiter on a clock the test moves by hand
+ * @returns {Object} - { limiter, clock } with clock.time in milliseconds
+ */
+function createTestLimiter() {
+  const clock = { time: 1000000 };
+  return { limiter: createRateLimiter(LIMITS, () => clock.time), clock: clock };
+}
+
+test('requests are allowed up to the user limit, then wait for the window', () => {
+  const { limiter, clock } = createTestLimiter();
+
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 0);
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 0);
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 60000);
+
+  clock.time += 45000;
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 15000);
+
+  clock.time += 15000;
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 0);
+});
+
+test('the guild limit is shared by every user of the guild', () => {
+  const { limiter } = createTestLimiter();
+
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 0);
+  assert.strictEqual(limiter.consume('command', { user: 'u2', guild: 'g1' }), 0);
+  assert.strictEqual(limiter.consume('command', { user: 'u3', guild: 'g1' }), 0);
+  assert.strictEqual(limiter.consume('command', { user: 'u4', guild: 'g1' }), 60000);
+  assert.strictEqual(limiter.consume('command', { user: 'u4', guild: 'g2' }), 0);
+});
+
+test('refused requests do not use up the other bucket', () => {
+  const { limiter } = createTestLimiter();
+
+  limiter.consume('command', { user: 'u1', guild: 'g1' });
+  limiter.consume('command', { user: 'u1', guild: 'g1' });
+  limiter.consume('command', { user: 'u1', guild: 'g1' });
+
+  // u1 was refused once, so the guild still has one request left
+  assert.strictEqual(limiter.consume('command', { user: 'u2', guild: 'g1' }), 0);
+  assert.strictEqual(limiter.consume('command', { user: 'u3', guild: 'g1' }), 60000);
+});
+
+test('categories are limited separately and a limit of 0 refuses everything', () => {
+  const { limiter } = createTestLimiter();
+
+  assert.strictEqual(limiter.consume('upload', { user: 'u1', guild: 'g1' }), 600000);
+  assert.strictEqual(limiter.consume('upload', { user: 'u2', guild: 'g1' }), 600000);
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 0);
+});
+
+test('refunded requests can be made again in the same window', () => {
+  const { limiter, clock } = createTestLimiter();
+
+  limiter.consume('command', { user: 'u1', guild: 'g1' });
+  limiter.consume('command', { user: 'u1', guild: 'g1' });
+  limiter.refund('command', { user: 'u1', guild: 'g1' });
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 0);
+
+  // A refund never adds requests beyond the limit, nor carries over to the next window
+  limiter.refund('command', { user: 'u2', guild: 'g1' });
+  limiter.refund('command', { user: 'u2', guild: 'g1' });
+  clock.time += 60000;
+  limiter.refund('command', { user: 'u1', guild: 'g1' });
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 0);
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 0);
+  assert.strictEqual(limiter.consume('command', { user: 'u1', guild: 'g1' }), 60000);
+});
+
+test('scopes can be any request property and report what is left', () => {
+  const clock = { time: 1000000 };
+  const limiter = createRateLimiter({ api: { window: 60000, client: 2 } }, () => clock.time);
+
+  assert.deepStrictEqual(limiter.getStatus('api', { client: '10.0.0.1' }), { limit: 2, remaining: 2, resetAt: 1060000 });
+  assert.strictEqual(limiter.consume('api', { client: '10.0.0.1' }), 0);
+  assert.strictEqual(limiter.consume('api', { client: '10.0.0.1' }), 0);
+  assert.strictEqual(limiter.consume('api', { client: '10.0.0.1' }), 60000);
+  assert.strictEqual(limiter.getStatus('api', { client: '10.0.0.1' }).remaining, 0);
+  assert.strictEqual(limiter.consume('api', { client: '10.0.0.2' }), 0);
+});
+
+test('the fullest bucket decides what is left', () => {
+  const { limiter } = createTestLimiter();
+
+  limiter.consume('command', { user: 'u1', guild: 'g1' });
+  limiter.consume('command', { user: 'u2', guild: 'g1' });
+
+  assert.strictEqual(limiter.getStatus('command', { user: 'u1', guild: 'g1' }).remaining, 1);
+  assert.strictEqual(limiter.getStatus('command', { user: 'u3', guild: 'g1' }).remaining, 1);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createItemRecord } = require('../lib/items');
+const {
+  GUILD_ITEM_NAMES_LOWER,
+  buildItemNameIndex,
+  initializeGuildItems,
+  scanItemsByQuery,
+  searchIndexedItems,
+  parseSearchQuery,
+  findItemsByQuery,
+  suggestItemNames,
+  resolveItemId,
+  findItemMentions
+} = require('../lib/search');
+
+const GUILD_ID = 'test';
+
+/**
+ * Build a database from [id, name, actionType, rarity] rows
+ * @param {Array} rows - Item rows
+ * @returns {Object} - Dictionary of item IDs to item records
+ */
+function createItems(rows) {
+  const items = {};
+
+  for (const [id, name, actionType, rarity = 0] of rows) {
+    items[id] = createItemRecord(id, name);
+    items[id].texture = 'tiles_page1.rttex';
+    items[id].actionType = actionType;
+    items[id].rarity = rarity;
+  }
+
+  return items;
+}
+
+initializeGuildItems(GUILD_ID, createItems([
+  [2, 'Dirt', 17, 1],
+  [3, 'Dirt Seed', 19, 1],
+  [10, 'Rock', 17, 8],
+  [11, 'Rock Seed', 19, 8],
+  [12, 'Magic Egg', 8, 40],
+  [14, 'Cave Background', 18, 3],
+  [202, 'Small Lock', 3, 5],
+  [242, 'World Lock', 3, 1],
+  [1000, 'Lava: Hot', 17, 60],
+  [1002, 'Rock Wall', 18, 12],
+  [1004, 'Legendary Sword', 20, 100]
+]));
+
+/**
+ * Get the names of search results
+ * @param {Array} results - [id, name] pairs
+ * @returns {Array} - Item names
+ */
+function names(results) {
+  return results.map(([, name]) => name);
+}
+
+test('plain searches rank exact names and prefixes before close names', () => {
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'rock')).slice(0, 3), ['Rock', 'Rock Seed', 'Rock Wall']);
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'ROCK', 'seed')), ['Rock Seed']);
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'lock', 'all', 1)), ['Small Lock']);
+  assert.deepStrictEqual(findItemsByQuery(GUILD_ID, '   '), []);
+  assert.deepStrictEqual(findItemsByQuery('missing', 'rock'), []);
+});
+
+test('plain searches tolerate typos', () => {
+  assert.ok(names(findItemsByQuery(GUILD_ID, 'legendery sword')).includes('Legendary Sword'));
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'rokc')).slice(0, 1), ['Rock']);
+  assert.deepStrictEqual(findItemsByQuery(GUILD_ID, 'qqqqqq'), []);
+});
+
+test('buildItemNameIndex keeps lowercase names next to the search index', () => {
+  const nameIndex = buildItemNameIndex(createItems([[1, 'Big Rock', 17]]));
+
+  assert.deepStrictEqual(nameIndex.namesLower, { 1: 'big rock' });
+  assert.ok(nameIndex.searchIndex);
+  assert.strictEqual(GUILD_ITEM_NAMES_LOWER[GUILD_ID][1004], 'legendary sword');
+});
+
+test('the search index finds the same items as a full scan', () => {
+  for (const query of ['rock', 'ro', 'dirt seed', 'lock', 'egg', 'rokc', 'swrod', 'a', 'xyz']) {
+    for (const type of ['all', 'seed', 'block', 'background']) {
+      assert.deepStrictEqual(
+        searchIndexedItems(GUILD_ID, query, type, 500),
+        scanItemsByQuery(GUILD_ID, query, type, 500),
+        `${query} (${type})`
+      );
+    }
+  }
+});
+
+test('resolveItemId only resolves exact IDs and names', () => {
+  assert.strictEqual(resolveItemId(GUILD_ID, '242'), 242);
+  assert.strictEqual(resolveItemId(GUILD_ID, 'world lock'), 242);
+  assert.strictEqual(resolveItemId(GUILD_ID, '  Magic Egg '), 12);
+  assert.strictEqual(resolveItemId(GUILD_ID, 'world'), null);
+  assert.strictEqual(resolveItemId(GUILD_ID, '9999'), null);
+});
+
+test('suggestItemNames offers close names', () => {
+  assert.strictEqual(suggestItemNames(GUILD_ID, 'rokc')[0], 'Rock');
+  assert.strictEqual(suggestItemNames(GUILD_ID, 'wrold lock')[0], 'World Lock');
+  assert.deepStrictEqual(suggestItemNames(GUILD_ID, 'qqqqqq'), []);
+});
+
+test('type filters use item categories', () => {
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'rock', 'seed')), ['Rock Seed']);
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'rock', 'background')), ['Rock Wall']);
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'rock', 'block')), ['Rock', 'Rock Wall', 'Small Lock', 'World Lock']);
+});
+
+test('parseSearchQuery tells plain text from the advanced syntax', () => {
+  assert.strictEqual(parseSearchQuery('dirt seed').advanced, false);
+  assert.strictEqual(parseSearchQuery('Lava: Hot').advanced, false);
+  assert.strictEqual(parseSearchQuery('- dirt').advanced, false);
+
+  const parsed = parseSearchQuery('^rock -seed OR rarity:>50');
+  assert.strictEqual(parsed.advanced, true);
+  assert.deepStrictEqual(parsed.groups, [
+    [
+      { kind: 'name', value: 'rock', anchorStart: true, anchorEnd: false, negate: false },
+      { kind: 'name', value: 'seed', anchorStart: false, anchorEnd: false, negate: true }
+    ],
+    [{ kind: 'field', key: 'rarity', op: '>', value: 50, negate: false }]
+  ]);
+});
+
+test('parseSearchQuery resolves backslash escapes', () => {
+  assert.deepStrictEqual(parseSearchQuery('rarity\\:5').groups, [
+    [{ kind: 'name', value: 'rarity:5', anchorStart: false, anchorEnd: false, negate: false }]
+  ]);
+  assert.strictEqual(parseSearchQuery('\\-minus').groups[0][0].negate, false);
+  assert.strictEqual(parseSearchQuery('\\-minus').text, '-minus');
+  assert.strictEqual(parseSearchQuery('cash\\$').groups[0][0].anchorEnd, false);
+  assert.strictEqual(parseSearchQuery('"say \\"hi\\""').groups[0][0].value, 'say "hi"');
+});
+
+test('parseSearchQuery points at syntax errors', () => {
+  const unclosed = parseSearchQuery('rock "magic', 'en');
+  assert.strictEqual(unclosed.valid, false);
+  assert.strictEqual(unclosed.reason, '❌ Unclosed quote at position 6.');
+  assert.strictEqual(unclosed.pointer, 'rock "magic\n     ^');
+
+  assert.strictEqual(parseSearchQuery('rock OR', 'en').valid, false);
+  assert.strictEqual(parseSearchQuery('OR rock', 'en').valid, false);
+  assert.strictEqual(parseSearchQuery('rarity:abc', 'en').pointer, 'rarity:abc\n       ^');
+  assert.strictEqual(parseSearchQuery('rarity:', 'en').valid, false);
+  assert.strictEqual(parseSearchQuery('^id:5', 'en').valid, false);
+  assert.strictEqual(parseSearchQuery('""', 'en').valid, false);
+});
+
+test('advanced searches filter in ID order', () => {
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'rock -seed')), ['Rock', 'Rock Wall']);
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'dirt OR egg')), ['Dirt', 'Dirt Seed', 'Magic Egg']);
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, '^rock seed$')), ['Rock Seed']);
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, '"world lock"')), ['World Lock']);
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'id:10-14 rarity:>=8')), ['Rock', 'Rock Seed', 'Magic Egg']);
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'rarity:<5', 'seed')), ['Dirt Seed']);
+  assert.deepStrictEqual(names(findItemsByQuery(GUILD_ID, 'lava:')), ['Lava: Hot']);
+});
+
+test('findItemMentions finds names and marked IDs in a message', () => {
+  assert.deepStrictEqual(findItemMentions(GUILD_ID, 'selling 5 dirt for 2 world locks'), [[2, 'Dirt'], [242, 'World Lock']]);
+  assert.deepStrictEqual(findItemMentions(GUILD_ID, 'need #12 and id 14'), [[12, 'Magic Egg'], [14, 'Cave Background']]);
+  assert.deepStrictEqual(findItemMentions(GUILD_ID, 'a dirt seed, not dirt'), [[3, 'Dirt Seed'], [2, 'Dirt']]);
+  assert.deepStrictEqual(findItemMentions(GUILD_ID, 'cheap magic eggs 242'), [[12, 'Magic Egg']]);
+  assert.deepStrictEqual(findItemMentions(GUILD_ID, 'item 242 is nice'), [[242, 'World Lock']]);
+  assert.deepStrictEqual(findItemMentions(GUILD_ID, 'rockets and dirty rocks'), [[10, 'Rock']]);
+  assert.deepStrictEqual(findItemMentions(GUILD_ID, 'nothing here'), []);
+  assert.deepStrictEqual(findItemMentions('missing', 'dirt'), []);
+});